@@ -37,18 +37,32 @@
     // =====================================================
 
     function getCurrentLevelId() {
-        if (currentGameMode === 'campaign' && window.gameState && window.gameState.currentCampaignLevel) {
-            return `campaign_level_${window.gameState.currentCampaignLevel}`;
+        const level = safeGetGameState('level', null);
+        if (currentGameMode === 'campaign' && level) {
+            return `campaign_level_${level}`;
         } else if (currentGameMode === 'reflex') {
             return 'reflex_mode';
+        } else if (currentGameMode === 'daily') {
+            return 'daily_challenge';
+        } else if (currentGameMode === 'race') {
+            return 'online_race';
+        } else if (currentGameMode === 'study') {
+            return 'study_round';
         }
         return 'unknown_level';
     }
 
+    // Replays re-run old answers and pass-and-play boards mix several
+    // players' answers, so neither records tasks
+    function isPlayersOwnBoard() {
+        return !window.isReplaying?.() && safeGetGameState('scores', [0]).length === 1;
+    }
+
     function safeGetGameState(property, defaultValue = 0) {
         try {
-            return window.gameState && window.gameState[property] !== undefined 
-                ? window.gameState[property] 
+            const state = window.gameEngine && window.gameEngine.state;
+            return state && state[property] !== undefined
+                ? state[property]
                 : defaultValue;
         } catch (error) {
             console.error(`[Analytics] Error accessing gameState.${property}:`, error);
@@ -109,15 +123,16 @@
     // =====================================================
     const originalHandleCorrectMatch = window.handleCorrectMatch;
     if (typeof originalHandleCorrectMatch === 'function') {
-        window.handleCorrectMatch = function() {
+        window.handleCorrectMatch = function(result) {
             try {
                 // Capture state BEFORE calling original function
-                const flippedCards = window.gameState?.flippedCards || [];
-                if (flippedCards.length === 2) {
-                    const [first, second] = flippedCards;
-                    const question = first.dataset?.value || 'Unknown';
-                    const correctAnswer = first.dataset?.match || 'Unknown';
-                    const userAnswer = second.dataset?.value || 'Unknown';
+                const cards = result?.cards || [];
+                if (cards.length === 2 && isPlayersOwnBoard()) {
+                    const [first, second] = cards;
+                    const partner = window.gameEngine?.getPartner(first);
+                    const question = first.value || 'Unknown';
+                    const correctAnswer = partner?.value || 'Unknown';
+                    const userAnswer = second.value || 'Unknown';
 
                     taskCounter++;
                     const taskId = `task_${taskCounter}`;
@@ -128,7 +143,7 @@
                         `Match: ${question}`,
                         correctAnswer,
                         userAnswer,
-                        0, // timeTaken (not tracked per task)
+                        result.reactionTime || 0, // timeTaken (reflex answers only)
                         0  // xpEarned (calculated at level end)
                     );
 
@@ -139,7 +154,7 @@
             }
 
             // Always call original function
-            return originalHandleCorrectMatch.call(this);
+            return originalHandleCorrectMatch.apply(this, arguments);
         };
         console.log('[Analytics] Hooked into handleCorrectMatch()');
     }
@@ -149,15 +164,16 @@
     // =====================================================
     const originalHandleIncorrectMatch = window.handleIncorrectMatch;
     if (typeof originalHandleIncorrectMatch === 'function') {
-        window.handleIncorrectMatch = function() {
+        window.handleIncorrectMatch = function(result) {
             try {
                 // Capture state BEFORE calling original function
-                const flippedCards = window.gameState?.flippedCards || [];
-                if (flippedCards.length === 2) {
-                    const [first, second] = flippedCards;
-                    const question = first.dataset?.value || 'Unknown';
-                    const correctAnswer = first.dataset?.match || 'Unknown';
-                    const userAnswer = second.dataset?.value || 'Unknown';
+                const cards = result?.cards || [];
+                if (cards.length === 2 && isPlayersOwnBoard()) {
+                    const [first, second] = cards;
+                    const partner = window.gameEngine?.getPartner(first);
+                    const question = first.value || 'Unknown';
+                    const correctAnswer = partner?.value || 'Unknown';
+                    const userAnswer = second.value || 'Unknown';
 
                     taskCounter++;
                     const taskId = `task_${taskCounter}`;
@@ -179,7 +195,7 @@
             }
 
             // Always call original function
-            return originalHandleIncorrectMatch.call(this);
+            return originalHandleIncorrectMatch.apply(this, arguments);
         };
         console.log('[Analytics] Hooked into handleIncorrectMatch()');
     }
@@ -192,7 +208,7 @@
         window.handleCampaignWin = function() {
             try {
                 // Capture state BEFORE calling original function
-                const level = safeGetGameState('currentCampaignLevel', 0);
+                const level = safeGetGameState('level', 0);
                 const turns = safeGetGameState('turns', 0);
                 const timeTaken = levelStartTime ? (Date.now() - levelStartTime) : 0;
                 
@@ -218,6 +234,13 @@
                 analytics.addRawMetric('xp_earned', xpEarned.toString());
                 analytics.addRawMetric('game_mode', 'campaign');
 
+                analytics.addRawMetric('best_combo', safeGetGameState('bestCombo', 0).toString());
+
+                const hintsUsed = safeGetGameState('hintsUsed', {});
+                Object.keys(hintsUsed).forEach((type) => {
+                    analytics.addRawMetric(`hints_${type}`, hintsUsed[type].toString());
+                });
+
                 // Submit report
                 analytics.submitReport();
 
@@ -253,6 +276,14 @@
                 analytics.addRawMetric('total_moves', turns.toString());
                 analytics.addRawMetric('game_mode', 'reflex');
 
+                const stats = window.gameEngine?.getReflexStats();
+                if (stats) {
+                    analytics.addRawMetric('average_reaction_ms', String(stats.averageReaction));
+                    analytics.addRawMetric('best_reaction_ms', String(stats.bestReaction));
+                    analytics.addRawMetric('best_combo', stats.bestCombo.toString());
+                    analytics.addRawMetric('score', stats.score.toString());
+                }
+
                 // Calculate and add stars
                 if (typeof window.calculateReflexStars === 'function') {
                     const stars = window.calculateReflexStars(turns);
@@ -274,55 +305,220 @@
     }
 
     // =====================================================
-    // 10. HOOK: TIMER FAILURE (Level Failed)
+    // 10. HOOKS: DAILY CHALLENGE START AND END
     // =====================================================
-    const originalStartTimer = window.startTimer;
-    if (typeof originalStartTimer === 'function') {
-        window.startTimer = function(duration) {
-            // Call original function first to set up the timer
-            const result = originalStartTimer.call(this, duration);
+    const originalStartDailyChallenge = window.startDailyChallenge;
+    if (typeof originalStartDailyChallenge === 'function') {
+        window.startDailyChallenge = function() {
+            const result = originalStartDailyChallenge.apply(this, arguments);
+            try {
+                // Opening an attempt already made only shows its result
+                if (safeGetGameState('mode', null) === 'daily' && safeGetGameState('status', null) === 'ready') {
+                    currentGameMode = 'daily';
+                    currentLevelId = 'daily_challenge';
+                    levelStartTime = Date.now();
+                    taskCounter = 0;
+
+                    analytics.startLevel(currentLevelId);
+                    console.log('[Analytics] Started Daily Challenge');
+                }
+            } catch (error) {
+                console.error('[Analytics] Error in startDailyChallenge hook:', error);
+            }
+            return result;
+        };
+        console.log('[Analytics] Hooked into startDailyChallenge()');
+    }
 
-            // Wrap the timer interval to detect failures
+    const originalHandleDailyChallengeEnd = window.handleDailyChallengeEnd;
+    if (typeof originalHandleDailyChallengeEnd === 'function') {
+        window.handleDailyChallengeEnd = function() {
             try {
-                const originalInterval = window.gameState?.timerId;
-                if (originalInterval) {
-                    // Store original clearInterval
-                    const originalClearInterval = window.clearInterval;
-                    
-                    // Monitor when timer reaches zero
-                    const checkInterval = setInterval(() => {
-                        try {
-                            const timeRemaining = safeGetGameState('timeRemaining', -1);
-                            if (timeRemaining === 0) {
-                                // Timer expired - level failed
-                                const timeTaken = levelStartTime ? (Date.now() - levelStartTime) : 0;
-                                const turns = safeGetGameState('turns', 0);
-                                
-                                analytics.endLevel(getCurrentLevelId(), false, timeTaken, 0);
-                                analytics.addRawMetric('failure_reason', 'timeout');
-                                analytics.addRawMetric('turns', turns.toString());
-                                analytics.submitReport();
-
-                                console.log(`[Analytics] Level Failed: ${getCurrentLevelId()}, Reason: Timeout`);
-                                
-                                clearInterval(checkInterval);
-                            }
-                        } catch (error) {
-                            console.error('[Analytics] Error checking timer:', error);
-                        }
-                    }, 500);
+                const turns = safeGetGameState('turns', 0);
+                const timeTaken = levelStartTime ? (Date.now() - levelStartTime) : 0;
+
+                analytics.endLevel('daily_challenge', true, timeTaken, 0);
+                analytics.addRawMetric('total_moves', turns.toString());
+                analytics.addRawMetric('game_mode', 'daily');
+                analytics.addRawMetric('seed', String(safeGetGameState('seed', '')));
+                analytics.submitReport();
+
+                console.log(`[Analytics] Completed Daily Challenge, Time: ${timeTaken}ms, Moves: ${turns}`);
+            } catch (error) {
+                console.error('[Analytics] Error in handleDailyChallengeEnd hook:', error);
+            }
+            return originalHandleDailyChallengeEnd.apply(this, arguments);
+        };
+        console.log('[Analytics] Hooked into handleDailyChallengeEnd()');
+    }
+
+    // =====================================================
+    // 11. HOOKS: ONLINE RACE START AND END
+    // =====================================================
+    const originalStartRace = window.startRace;
+    if (typeof originalStartRace === 'function') {
+        window.startRace = function() {
+            try {
+                currentGameMode = 'race';
+                currentLevelId = 'online_race';
+                levelStartTime = Date.now();
+                taskCounter = 0;
+
+                analytics.startLevel(currentLevelId);
+                console.log('[Analytics] Started Online Race');
+            } catch (error) {
+                console.error('[Analytics] Error in startRace hook:', error);
+            }
+            return originalStartRace.apply(this, arguments);
+        };
+        console.log('[Analytics] Hooked into startRace()');
+    }
+
+    const originalHandleRaceResult = window.handleRaceResult;
+    if (typeof originalHandleRaceResult === 'function') {
+        window.handleRaceResult = function(result) {
+            try {
+                // Only the first result ends the race
+                if (currentGameMode === 'race') {
+                    const turns = safeGetGameState('turns', 0);
+                    const timeTaken = levelStartTime ? (Date.now() - levelStartTime) : 0;
+                    const won = Boolean(result && result.won);
+
+                    analytics.endLevel('online_race', won, timeTaken, 0);
+                    analytics.addRawMetric('total_moves', turns.toString());
+                    analytics.addRawMetric('game_mode', 'race');
+                    analytics.addRawMetric('race_result', (result && result.reason) || 'unknown');
+                    analytics.submitReport();
+                    currentGameMode = null;
+
+                    console.log(`[Analytics] Completed Online Race, Won: ${won}, Time: ${timeTaken}ms, Moves: ${turns}`);
                 }
             } catch (error) {
-                console.error('[Analytics] Error hooking timer:', error);
+                console.error('[Analytics] Error in handleRaceResult hook:', error);
             }
+            return originalHandleRaceResult.apply(this, arguments);
+        };
+        console.log('[Analytics] Hooked into handleRaceResult()');
+    }
 
+    // =====================================================
+    // 12. HOOKS: STUDY ROUND START AND END
+    // =====================================================
+    const originalStartStudyRound = window.startStudyRound;
+    if (typeof originalStartStudyRound === 'function') {
+        window.startStudyRound = function() {
+            try {
+                currentGameMode = 'study';
+                currentLevelId = 'study_round';
+                levelStartTime = Date.now();
+                taskCounter = 0;
+
+                analytics.startLevel(currentLevelId);
+                console.log('[Analytics] Started Study Round');
+            } catch (error) {
+                console.error('[Analytics] Error in startStudyRound hook:', error);
+            }
+            return originalStartStudyRound.apply(this, arguments);
+        };
+        console.log('[Analytics] Hooked into startStudyRound()');
+    }
+
+    const originalHandleStudyRoundEnd = window.handleStudyRoundEnd;
+    if (typeof originalHandleStudyRoundEnd === 'function') {
+        window.handleStudyRoundEnd = function() {
+            try {
+                const turns = safeGetGameState('turns', 0);
+                const timeTaken = levelStartTime ? (Date.now() - levelStartTime) : 0;
+
+                analytics.endLevel('study_round', true, timeTaken, 0);
+                analytics.addRawMetric('total_moves', turns.toString());
+                analytics.addRawMetric('game_mode', 'study');
+                analytics.addRawMetric('mismatches', safeGetGameState('mismatches', 0).toString());
+                analytics.submitReport();
+
+                console.log(`[Analytics] Completed Study Round, Time: ${timeTaken}ms, Moves: ${turns}`);
+            } catch (error) {
+                console.error('[Analytics] Error in handleStudyRoundEnd hook:', error);
+            }
+            return originalHandleStudyRoundEnd.apply(this, arguments);
+        };
+        console.log('[Analytics] Hooked into handleStudyRoundEnd()');
+    }
+
+    // =====================================================
+    // 13. HOOK: GAME LOST (Level Failed)
+    // =====================================================
+    const originalHandleGameLose = window.handleGameLose;
+    if (typeof originalHandleGameLose === 'function') {
+        window.handleGameLose = function(result) {
+            try {
+                const timeTaken = levelStartTime ? (Date.now() - levelStartTime) : 0;
+                const turns = safeGetGameState('turns', 0);
+                const reason = (result && result.reason) || 'unknown';
+
+                analytics.endLevel(getCurrentLevelId(), false, timeTaken, 0);
+                analytics.addRawMetric('failure_reason', reason);
+                analytics.addRawMetric('turns', turns.toString());
+                analytics.submitReport();
+
+                console.log(`[Analytics] Level Failed: ${getCurrentLevelId()}, Reason: ${reason}`);
+            } catch (error) {
+                console.error('[Analytics] Error in handleGameLose hook:', error);
+            }
+
+            // Always call original function
+            return originalHandleGameLose.apply(this, arguments);
+        };
+        console.log('[Analytics] Hooked into handleGameLose()');
+    }
+
+    // Continuing with bonus time reopens the level that was reported as failed
+    const originalContinueWithBonusTime = window.continueWithBonusTime;
+    if (typeof originalContinueWithBonusTime === 'function') {
+        window.continueWithBonusTime = function() {
+            const result = originalContinueWithBonusTime.apply(this, arguments);
+            try {
+                if (safeGetGameState('status', null) === 'playing') {
+                    levelStartTime = Date.now();
+                    taskCounter = 0;
+                    analytics.startLevel(currentLevelId);
+                    console.log(`[Analytics] Continued Level: ${currentLevelId}`);
+                }
+            } catch (error) {
+                console.error('[Analytics] Error in continueWithBonusTime hook:', error);
+            }
+            return result;
+        };
+        console.log('[Analytics] Hooked into continueWithBonusTime()');
+    }
+
+    // =====================================================
+    // 14. HOOK: SAVED GAME RESUMED
+    // =====================================================
+    const originalResumeSavedGame = window.resumeSavedGame;
+    if (typeof originalResumeSavedGame === 'function') {
+        window.resumeSavedGame = function() {
+            const result = originalResumeSavedGame.apply(this, arguments);
+            try {
+                if (safeGetGameState('status', null) === 'playing') {
+                    currentGameMode = safeGetGameState('mode', 'campaign');
+                    currentLevelId = getCurrentLevelId();
+                    levelStartTime = Date.now();
+                    taskCounter = 0;
+
+                    analytics.startLevel(currentLevelId);
+                    console.log(`[Analytics] Resumed Level: ${currentLevelId}`);
+                }
+            } catch (error) {
+                console.error('[Analytics] Error in resumeSavedGame hook:', error);
+            }
             return result;
         };
-        console.log('[Analytics] Hooked into startTimer()');
+        console.log('[Analytics] Hooked into resumeSavedGame()');
     }
 
     // =====================================================
-    // 11. INITIALIZATION COMPLETE
+    // 15. INITIALIZATION COMPLETE
     // =====================================================
     console.log('[Analytics] Integration complete - All hooks installed');
 
@@ -0,0 +1,102 @@
+// =====================================================
+// Card Kinds for BrainMatch
+// =====================================================
+// Decides what a card's front face shows for each card
+// kind ("text", "image", "audio", ...). New kinds are
+// added with CardKinds.register() and need no changes
+// to createBoard or the engine.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CardKinds = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const renderers = {};
+
+  /**
+   * Register how cards of a kind are shown.
+   * @param {string} kind - Value of the card's "kind" field
+   * @param {Object} renderer
+   * @param {Function} renderer.render - (face, card) fills the front face element
+   * @param {Function} [renderer.reveal] - (card) runs each time the card is turned face up
+   */
+  function register(kind, renderer) {
+    renderers[kind] = renderer;
+  }
+
+  // Unknown kinds fall back to showing their value as text
+  function getRenderer(kind) {
+    return renderers[kind] || renderers.text;
+  }
+
+  /**
+   * Replace the contents of `face` with the card's content.
+   * @param {HTMLElement} face
+   * @param {Object} card - Deck entry ({ kind, value, alt })
+   */
+  function render(face, card) {
+    face.replaceChildren();
+    getRenderer(card.kind).render(face, card);
+  }
+
+  /**
+   * Run the kind's reveal effect, if it has one.
+   * @param {Object} card
+   */
+  function reveal(card) {
+    const renderer = getRenderer(card.kind);
+    if (renderer.reveal) renderer.reveal(card);
+  }
+
+  register("text", {
+    render(face, card) {
+      face.textContent = card.value;
+    },
+  });
+
+  register("image", {
+    render(face, card) {
+      const img = document.createElement("img");
+      img.src = card.value;
+      img.alt = card.alt || "";
+      face.appendChild(img);
+    },
+  });
+
+  // Only one clip plays at a time; revealing another card cuts it off.
+  let currentClip = null;
+  let playClip = null;
+
+  /**
+   * Set what plays the clips of audio cards (script.js hands over its
+   * sound engine, see sound-engine.js). Without one they stay silent.
+   * @param {Function} player - (url) starts the clip, returns { stop() }
+   */
+  function setClipPlayer(player) {
+    playClip = player;
+  }
+
+  register("audio", {
+    render(face, card) {
+      const icon = document.createElement("span");
+      icon.classList.add("audio-card-icon");
+      icon.setAttribute("aria-hidden", "true");
+      icon.textContent = "🔊";
+      const label = document.createElement("span");
+      label.classList.add("visually-hidden");
+      label.textContent = card.alt || "audio clip";
+      face.append(icon, label);
+    },
+    reveal(card) {
+      if (currentClip) currentClip.stop();
+      currentClip = playClip ? playClip(card.value) : null;
+    },
+  });
+
+  return { register, render, reveal, setClipPlayer };
+});
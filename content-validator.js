@@ -0,0 +1,300 @@
+// =====================================================
+// Content Validator for BrainMatch
+// =====================================================
+// Checks gameContent.json against the formats described
+// in gameModesFormat.json and returns a list of issues:
+//   { severity: "error" | "warning", path, message }
+// Errors break a board; warnings make it confusing.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ContentValidator = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // "mixed" lets every pair in a level use its own shape
+  const GAME_MODES = [
+    "textToText",
+    "textToImage",
+    "textToAudio",
+    "imageToImage",
+    "custom",
+    "mixed",
+  ];
+
+  // Fields that hold something shown on a card, per pair shape
+  const SHAPE_FIELDS = {
+    textToText: ["a", "b"],
+    textToImage: ["a", "image"],
+    textToAudio: ["a", "audio"],
+    imageToImage: ["firstImage", "secondImage"],
+    custom: ["first.value", "second.value"],
+  };
+
+  // Fields that point at a file, with the field holding their alt text
+  const MEDIA_ALT_FIELDS = {
+    image: "imageAlt",
+    audio: "audioAlt",
+    firstImage: "firstImageAlt",
+    secondImage: "secondImageAlt",
+    "first.value": "first.alt",
+    "second.value": "second.alt",
+  };
+
+  // Card kinds in first/second pairs whose value is a file
+  const MEDIA_KINDS = ["image", "audio"];
+
+  // Optional pair facts shown on the level review screen
+  const FACT_FIELDS = ["capital", "continent", "funFact"];
+
+  // Read a possibly dotted field ("first.value") from a pair
+  function getField(pair, field) {
+    return field
+      .split(".")
+      .reduce((value, key) => (value == null ? undefined : value[key]), pair);
+  }
+
+  function isMediaField(pair, field) {
+    if (!MEDIA_ALT_FIELDS[field]) return false;
+    if (!field.includes(".")) return true;
+    const side = getField(pair, field.split(".")[0]);
+    return MEDIA_KINDS.includes(side && side.kind);
+  }
+
+  /**
+   * Work out which game mode a pair is written for, the same way
+   * GameEngine.buildDeck reads it.
+   * @param {Object} pair
+   * @returns {string|null} Game mode name, or null if no shape fits
+   */
+  function getPairShape(pair) {
+    if (!pair || typeof pair !== "object") return null;
+    if (pair.a !== undefined) {
+      if (pair.b !== undefined) return "textToText";
+      if (pair.image !== undefined) return "textToImage";
+      if (pair.audio !== undefined) return "textToAudio";
+      return null;
+    }
+    if (pair.firstImage !== undefined) return "imageToImage";
+    if (pair.first !== undefined && pair.second !== undefined) return "custom";
+    return null;
+  }
+
+  function isLevelKey(key) {
+    return /^level\d+$/.test(key);
+  }
+
+  /**
+   * Validate the structure of a loaded gameContent.json.
+   * @param {Object} gameContent
+   * @returns {Array<Object>} Issues found, empty when the content is clean
+   */
+  function validateContent(gameContent) {
+    const issues = [];
+    const error = (path, message) =>
+      issues.push({ severity: "error", path, message });
+    const warning = (path, message) =>
+      issues.push({ severity: "warning", path, message });
+    const checkPairCount = (pairCount, available, path) => {
+      if (pairCount === undefined) return;
+      if (!Number.isInteger(pairCount) || pairCount < 1) {
+        error(path, "pairCount must be a whole number of at least 1.");
+      } else if (pairCount > available) {
+        warning(path, `pairCount is ${pairCount} but only ${available} pairs are listed.`);
+      }
+    };
+
+    if (!gameContent || typeof gameContent.content !== "object") {
+      error("content", "Missing the \"content\" object that holds the subjects.");
+      return issues;
+    }
+    if (gameContent.gameMode && !GAME_MODES.includes(gameContent.gameMode)) {
+      error("gameMode", `Unknown gameMode "${gameContent.gameMode}".`);
+    }
+
+    Object.keys(gameContent.content).forEach((packKey) => {
+      const pack = gameContent.content[packKey];
+      const gameMode = pack.gameMode || gameContent.gameMode;
+      const levelKeys = Object.keys(pack).filter(isLevelKey);
+      // label -> first path it was seen at, to spot repeats across levels
+      const seenLabels = new Map();
+
+      if (pack.gameMode && !GAME_MODES.includes(pack.gameMode)) {
+        error(`${packKey}.gameMode`, `Unknown gameMode "${pack.gameMode}".`);
+      }
+      if (levelKeys.length === 0) {
+        error(packKey, "Subject has no levels (level1, level2, ...).");
+      }
+      // Reflex Mode and the daily challenge deal from every level's pairs
+      const poolSize = levelKeys.reduce(
+        (sum, key) => sum + ((pack[key].pairs || []).length),
+        0
+      );
+      if (pack.daily) {
+        checkPairCount(pack.daily.pairCount, poolSize, `${packKey}.daily.pairCount`);
+      }
+      if (pack.reflex) {
+        checkPairCount(pack.reflex.pairCount, poolSize, `${packKey}.reflex.pairCount`);
+        const thresholds = pack.reflex.reactionThresholds;
+        if (
+          thresholds !== undefined &&
+          !(
+            Array.isArray(thresholds) &&
+            thresholds.length === 2 &&
+            thresholds.every((ms) => typeof ms === "number" && ms > 0)
+          )
+        ) {
+          error(
+            `${packKey}.reflex.reactionThresholds`,
+            "reactionThresholds must list two positive times in ms (3 stars, then 2 stars)."
+          );
+        }
+      }
+
+      levelKeys.forEach((levelKey) => {
+        const levelPath = `${packKey}.${levelKey}`;
+        const level = pack[levelKey];
+
+        if (!Array.isArray(level.pairs) || level.pairs.length === 0) {
+          error(`${levelPath}.pairs`, "Level needs a non-empty \"pairs\" list.");
+          return;
+        }
+        if (
+          level.timer !== undefined &&
+          !(typeof level.timer === "number" && level.timer > 0)
+        ) {
+          error(`${levelPath}.timer`, "Timer must be a positive number of seconds.");
+        }
+        checkPairCount(level.pairCount, level.pairs.length, `${levelPath}.pairCount`);
+        if (
+          level.maxMismatches !== undefined &&
+          !(Number.isInteger(level.maxMismatches) && level.maxMismatches > 0)
+        ) {
+          error(`${levelPath}.maxMismatches`, "maxMismatches must be a whole number of at least 1.");
+        }
+        if (level.bonusTime !== undefined) {
+          if (!(typeof level.bonusTime === "number" && level.bonusTime > 0)) {
+            error(`${levelPath}.bonusTime`, "bonusTime must be a positive number of seconds.");
+          } else if (!level.timer) {
+            warning(`${levelPath}.bonusTime`, "bonusTime has no effect on a level without a timer.");
+          }
+        }
+
+        level.pairs.forEach((pair, index) => {
+          const pairPath = `${levelPath}.pairs[${index}]`;
+          const shape = getPairShape(pair);
+
+          if (!shape) {
+            error(
+              pairPath,
+              "Pair does not match any format (a/b, a/image, a/audio, firstImage/secondImage or first/second) and will be left out."
+            );
+            return;
+          }
+          if (gameMode && gameMode !== "mixed" && shape !== gameMode) {
+            error(pairPath, `Pair is written as ${shape} but the gameMode is ${gameMode}.`);
+          }
+
+          SHAPE_FIELDS[shape].forEach((field) => {
+            const value = getField(pair, field);
+            if (typeof value !== "string" || value.trim() === "") {
+              error(`${pairPath}.${field}`, `"${field}" must be a non-empty string.`);
+              return;
+            }
+
+            if (isMediaField(pair, field)) {
+              const altField = MEDIA_ALT_FIELDS[field];
+              if (!getField(pair, altField)) {
+                warning(`${pairPath}.${altField}`, `File "${value}" has no alt text.`);
+              }
+            }
+
+            const firstSeen = seenLabels.get(value);
+            if (firstSeen) {
+              warning(pairPath, `"${value}" is also used at ${firstSeen}.`);
+            } else {
+              seenLabels.set(value, pairPath);
+            }
+          });
+
+          if (pair.facts !== undefined) {
+            if (!pair.facts || typeof pair.facts !== "object" || Array.isArray(pair.facts)) {
+              warning(`${pairPath}.facts`, "facts must be an object and will be ignored.");
+              return;
+            }
+            Object.keys(pair.facts).forEach((field) => {
+              const value = pair.facts[field];
+              if (!FACT_FIELDS.includes(field)) {
+                warning(`${pairPath}.facts.${field}`, `Unknown fact "${field}" is not shown.`);
+              } else if (typeof value !== "string" || value.trim() === "") {
+                warning(`${pairPath}.facts.${field}`, `"${field}" must be a non-empty string.`);
+              }
+            });
+          }
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * List every image and audio file referenced by the content.
+   * @param {Object} gameContent
+   * @returns {Array<{ url: string, path: string }>}
+   */
+  function collectAssets(gameContent) {
+    const assets = [];
+    Object.keys(gameContent.content || {}).forEach((packKey) => {
+      const pack = gameContent.content[packKey];
+      Object.keys(pack)
+        .filter(isLevelKey)
+        .forEach((levelKey) => {
+          (pack[levelKey].pairs || []).forEach((pair, index) => {
+            Object.keys(MEDIA_ALT_FIELDS).forEach((field) => {
+              const value = getField(pair, field);
+              if (isMediaField(pair, field) && typeof value === "string" && value) {
+                assets.push({
+                  url: value,
+                  path: `${packKey}.${levelKey}.pairs[${index}].${field}`,
+                });
+              }
+            });
+          });
+        });
+    });
+    return assets;
+  }
+
+  /**
+   * Check that every referenced file can be loaded.
+   * @param {Object} gameContent
+   * @param {Function} assetExists - async (url) => boolean
+   * @returns {Promise<Array<Object>>} An error per missing file
+   */
+  async function checkAssets(gameContent, assetExists) {
+    const assets = collectAssets(gameContent);
+    const results = await Promise.all(
+      assets.map((asset) => assetExists(asset.url).catch(() => false))
+    );
+    return assets
+      .filter((asset, index) => !results[index])
+      .map((asset) => ({
+        severity: "error",
+        path: asset.path,
+        message: `File "${asset.url}" could not be loaded.`,
+      }));
+  }
+
+  return {
+    GAME_MODES,
+    getPairShape,
+    validateContent,
+    collectAssets,
+    checkAssets,
+  };
+});
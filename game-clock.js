@@ -0,0 +1,206 @@
+// =====================================================
+// Game Clock for BrainMatch
+// =====================================================
+// A pausable stand-in for setTimeout/setInterval. Every
+// timed effect of a game (reflex windows, mismatch
+// flip-backs, the peek, the level timer, win-screen
+// delays) is scheduled here, so pause() freezes them all
+// and resume() continues each from where it stopped.
+// Manual timers let a replay step through that time by
+// hand instead of waiting for it.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GameClock = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DEFAULT_TIMERS = {
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id),
+    now: () => Date.now(),
+  };
+
+  /**
+   * Timers that only move when told to, for replaying a recorded session.
+   * Timers due at the same time run in the order they were set.
+   * @returns {Object} setTimeout/clearTimeout/now plus runNext/setNow/nextDue
+   */
+  function createManualTimers() {
+    const pending = new Map(); // handle -> { fn, due }
+    let time = 0;
+    let nextHandle = 1;
+
+    return {
+      setTimeout(fn, ms = 0) {
+        const handle = nextHandle++;
+        pending.set(handle, { fn, due: time + ms });
+        return handle;
+      },
+      clearTimeout(handle) {
+        pending.delete(handle);
+      },
+      now() {
+        return time;
+      },
+      /** Due time of the earliest pending timer, or null if there is none */
+      nextDue() {
+        let due = null;
+        pending.forEach((timer) => {
+          if (due === null || timer.due < due) due = timer.due;
+        });
+        return due;
+      },
+      /**
+       * Move to the earliest pending timer and run it
+       * @returns {boolean} False when nothing was pending
+       */
+      runNext() {
+        let next = null;
+        pending.forEach((timer, handle) => {
+          if (!next || timer.due < next.timer.due) next = { handle, timer };
+        });
+        if (!next) return false;
+        pending.delete(next.handle);
+        time = Math.max(time, next.timer.due);
+        next.timer.fn();
+        return true;
+      },
+      /** Move the time forward without running anything */
+      setNow(ms) {
+        time = Math.max(time, ms);
+      },
+    };
+  }
+
+  class GameClock {
+    /**
+     * @param {Object} [timers] - setTimeout/clearTimeout/now to run on
+     */
+    constructor(timers = DEFAULT_TIMERS) {
+      this.timers = { ...DEFAULT_TIMERS, ...timers };
+      this.isPaused = false;
+      this._pausedAt = 0;
+      this._pausedTotal = 0;
+      this._tasks = new Map(); // id -> { fn, delay, remaining, repeat, startedAt, handle }
+      this._nextId = 1;
+      this.fired = 0; // tasks run so far, so a recording can tell inputs from timers
+    }
+
+    /**
+     * Switch to other timers (for example manual ones for a replay).
+     * Cancels everything scheduled and starts the clock over, unpaused.
+     * @param {Object} [timers]
+     */
+    useTimers(timers = DEFAULT_TIMERS) {
+      this.clearAll();
+      this.timers = { ...DEFAULT_TIMERS, ...timers };
+      this.isPaused = false;
+      this._pausedAt = 0;
+      this._pausedTotal = 0;
+    }
+
+    /**
+     * Milliseconds of unpaused time, for measuring durations that should
+     * not count time spent in the pause menu
+     * @returns {number}
+     */
+    now() {
+      const pausedFor = this.isPaused ? this.timers.now() - this._pausedAt : 0;
+      return this.timers.now() - this._pausedTotal - pausedFor;
+    }
+
+    /**
+     * Run `fn` once after `ms` of unpaused time
+     * @returns {number} Id for clearTimeout()
+     */
+    setTimeout(fn, ms = 0) {
+      return this._add(fn, ms, false);
+    }
+
+    /**
+     * Run `fn` every `ms` of unpaused time
+     * @returns {number} Id for clearInterval()
+     */
+    setInterval(fn, ms = 0) {
+      return this._add(fn, ms, true);
+    }
+
+    clearTimeout(id) {
+      const task = this._tasks.get(id);
+      if (!task) return;
+      this.timers.clearTimeout(task.handle);
+      this._tasks.delete(id);
+    }
+
+    clearInterval(id) {
+      this.clearTimeout(id);
+    }
+
+    /**
+     * Cancel everything scheduled on this clock.
+     */
+    clearAll() {
+      this._tasks.forEach((task) => this.timers.clearTimeout(task.handle));
+      this._tasks.clear();
+    }
+
+    /**
+     * Freeze every countdown. Tasks added while paused wait for resume().
+     */
+    pause() {
+      if (this.isPaused) return;
+      this.isPaused = true;
+      const now = this.timers.now();
+      this._pausedAt = now;
+      this._tasks.forEach((task) => {
+        this.timers.clearTimeout(task.handle);
+        task.handle = null;
+        task.remaining = Math.max(0, task.remaining - (now - task.startedAt));
+      });
+    }
+
+    resume() {
+      if (!this.isPaused) return;
+      this.isPaused = false;
+      this._pausedTotal += this.timers.now() - this._pausedAt;
+      this._tasks.forEach((task, id) => this._arm(id, task));
+    }
+
+    // --- Internal Helpers ---
+
+    _add(fn, ms, repeat) {
+      const id = this._nextId++;
+      const task = { fn, delay: ms, remaining: ms, repeat, startedAt: 0, handle: null };
+      this._tasks.set(id, task);
+      if (!this.isPaused) this._arm(id, task);
+      return id;
+    }
+
+    _arm(id, task) {
+      task.startedAt = this.timers.now();
+      task.handle = this.timers.setTimeout(() => this._fire(id), task.remaining);
+    }
+
+    _fire(id) {
+      const task = this._tasks.get(id);
+      if (!task) return;
+      if (task.repeat) {
+        task.remaining = task.delay;
+        this._arm(id, task);
+      } else {
+        this._tasks.delete(id);
+      }
+      this.fired++;
+      task.fn();
+    }
+  }
+
+  GameClock.createManualTimers = createManualTimers;
+
+  return GameClock;
+});
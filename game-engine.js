@@ -0,0 +1,778 @@
+// =====================================================
+// Game Engine for BrainMatch
+// =====================================================
+// DOM-free match rules: deck building, turns, matches,
+// reflex challenges and win/lose states. The engine only
+// emits events; script.js renders them. Loads as a plain
+// <script> (window.GameEngine) or with require() in Node.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./game-clock"));
+  } else {
+    root.GameEngine = factory(root.GameClock);
+  }
+})(typeof self !== "undefined" ? self : this, function (GameClock) {
+  "use strict";
+
+  const DEFAULT_OPTIONS = {
+    mismatchDelay: 1200, // ms before a mismatched pair turns back over
+    reflexWindow: 4000, // ms the player has to answer the first reflex challenge
+    reflexMinWindow: 1500, // fastest the window gets after a run of hits
+    reflexMaxWindow: 6000, // slowest the window gets after a run of misses
+    reflexSpeedUp: 0.85, // window multiplier after a hit
+    reflexEaseOff: 1.25, // window multiplier after a miss or timeout
+    reflexInterval: 500, // ms between two reflex challenges
+    reflexStartDelay: 1000, // ms before the first reflex challenge
+    reflexPoints: 10, // points for a hit, times the combo multiplier
+    maxComboMultiplier: 5,
+    hintRevealTime: 1500, // ms a revealed partner stays face up
+    hintPeekTime: 2000, // ms the whole board is shown by a peek
+    hintFreezeTime: 10000, // ms the level timer stops for
+  };
+
+  const HINT_TYPES = ["reveal", "peek", "freeze"];
+
+  /**
+   * Deterministic random number generator (mulberry32), so the same seed
+   * always deals the same board.
+   * @param {number|string} seed - Strings are hashed to a number first
+   * @returns {Function} Returns floats in [0, 1)
+   */
+  function createSeededRandom(seed) {
+    let a = typeof seed === "string" ? hashString(seed) : seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // FNV-1a
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  function shuffle(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Turn content pairs into an unshuffled list of card descriptors.
+   * Supports the a/b, a/image, a/audio and firstImage/secondImage pair
+   * shapes, plus first/second pairs whose sides name their own kind
+   * ({ kind, value, alt }). Pairs matching none of them are skipped.
+   * Both cards of a pair share a pairId (the pair's index in `pairs`),
+   * which is what matching uses, so repeated text or images never make
+   * two pairs interchangeable.
+   * @param {Array<Object>} pairs - Pairs from gameContent.json
+   * @returns {Array<Object>} Card descriptors ({ pairId, kind, value, alt })
+   */
+  function buildDeck(pairs) {
+    const deck = [];
+
+    pairs.forEach((pair, pairId) => {
+      const side = (kind, value, alt) => ({ pairId, kind, value, alt });
+
+      if (pair.a !== undefined) {
+        // Text to Text mode
+        if (pair.b !== undefined) {
+          deck.push(side("text", pair.a), side("text", pair.b));
+        }
+        // Text to Image mode
+        else if (pair.image !== undefined) {
+          deck.push(side("text", pair.a), side("image", pair.image, pair.imageAlt));
+        }
+        // Text to Audio mode
+        else if (pair.audio !== undefined) {
+          deck.push(side("text", pair.a), side("audio", pair.audio, pair.audioAlt));
+        }
+      }
+      // Image to Image mode
+      else if (pair.firstImage !== undefined) {
+        deck.push(
+          side("image", pair.firstImage, pair.firstImageAlt),
+          side("image", pair.secondImage, pair.secondImageAlt)
+        );
+      }
+      // Any two card kinds
+      else if (pair.first !== undefined && pair.second !== undefined) {
+        [pair.first, pair.second].forEach((card) =>
+          deck.push(side(card.kind || "text", card.value, card.alt))
+        );
+      }
+    });
+
+    return deck;
+  }
+
+  /**
+   * GameEngine - Runs one board at a time and reports what happened.
+   *
+   * Events (listener receives a single payload object):
+   *   deal            { cards }
+   *   start           { mode, level }
+   *   flip            { card }
+   *   turn            { turns }
+   *   match           { cards, combo, reactionTime?, points? } - extras in reflex mode
+   *   mismatch        { cards }
+   *   unflip          { cards }
+   *   player          { player } - play passed to the next player (hot-seat boards)
+   *   reflexChallenge { card, window }
+   *   reflexTimeout   { card }
+   *   hint            { type, cards, duration } - cards to show face up for duration
+   *   tick            { timeRemaining }
+   *   win             { mode, level, turns }
+   *   lose            { mode, level, turns, reason } - reason is "timeout" or "mismatches"
+   *   input           { type, cardId?, hint?, seconds? } - a flip, pause, resume, hint or addTime call, accepted or not
+   *   change          { type } - after any of the above, for persistence
+   */
+  class GameEngine {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.random] - Returns a float in [0, 1)
+     * @param {GameClock} [options.clock] - Clock to schedule on; share it with the UI so pause() freezes both
+     * @param {Object} [options.timers] - setTimeout/clearTimeout/now for a clock of the engine's own
+     */
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this.random = options.random || Math.random;
+      this.clock = options.clock || new GameClock(options.timers);
+      this._listeners = {};
+      this._pending = new Set();
+      this._timerId = null;
+      this._random = this.random; // Board randomness: deal and reflex picks
+      this._setup = null;
+      this.state = this._createState();
+    }
+
+    /**
+     * Subscribe to an engine event
+     * @param {string} type - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+      (this._listeners[type] = this._listeners[type] || []).push(listener);
+      return () => this.off(type, listener);
+    }
+
+    /**
+     * Remove a listener added with on()
+     * @param {string} type - Event name
+     * @param {Function} listener - Listener to remove
+     */
+    off(type, listener) {
+      const listeners = this._listeners[type];
+      if (!listeners) return;
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    }
+
+    /**
+     * Build and shuffle a new board. Cards cannot be flipped until start().
+     * @param {Object} config
+     * @param {string} config.mode - "campaign" or "reflex"
+     * @param {Array<Object>} config.pairs - Content pairs for the board
+     * @param {number} [config.pairCount] - Deal only this many pairs, picked at random
+     * @param {number} [config.level] - Campaign level number
+     * @param {number} [config.timeLimit] - Seconds before the level is lost
+     * @param {number} [config.maxMismatches] - Mismatches before the level is lost
+     * @param {Object} [config.hintLimits] - Uses allowed per hint type, e.g. { reveal: 2 }
+     * @param {number|string} [config.seed] - Deal a fixed board for this seed. Without one a seed is drawn, so every board can be replayed
+     * @param {number} [config.players] - Players taking turns on one device. A match scores for the player
+     *   whose turn it is and lets them go again; a mismatch passes play on once the pair turns back over
+     */
+    setup({
+      mode,
+      pairs,
+      pairCount = 0,
+      level = null,
+      timeLimit = 0,
+      maxMismatches = 0,
+      hintLimits = {},
+      seed = null,
+      players = 1,
+    }) {
+      this.stop();
+      this.clock.resume(); // A new board never starts paused
+      if (seed === null) seed = Math.floor(this.random() * 4294967296);
+      const random = createSeededRandom(seed);
+      const dealt =
+        pairCount > 0 && pairCount < pairs.length
+          ? shuffle(pairs.slice(), random).slice(0, pairCount)
+          : pairs;
+      const cards = shuffle(buildDeck(dealt), random).map(
+        (card, index) => ({ ...card, id: index, faceUp: false, matched: false })
+      );
+
+      this.state = this._createState();
+      this.state.mode = mode;
+      this.state.level = level;
+      this.state.timeLimit = timeLimit;
+      this.state.maxMismatches = maxMismatches;
+      this.state.reflexWindow = this.options.reflexWindow;
+      this.state.hintLimits = { ...hintLimits };
+      this.state.seed = seed;
+      this.state.scores = new Array(players).fill(0);
+      this.state.cards = cards;
+      this.state.totalPairs = cards.length / 2;
+      this.state.status = "ready";
+      this._random = random;
+      this._setup = { mode, pairs, pairCount, level, timeLimit, maxMismatches, hintLimits, seed, players };
+
+      this._emit("deal", { cards });
+    }
+
+    /**
+     * The setup() config of the current board, with the seed it was dealt
+     * from. Null for a board rebuilt with restore(), whose deal is unknown.
+     * @returns {Object|null}
+     */
+    getSetup() {
+      return this._setup ? { ...this._setup, hintLimits: { ...this._setup.hintLimits } } : null;
+    }
+
+    /**
+     * Snapshot of the board that restore() can rebuild. Cards waiting to
+     * turn back over and open reflex challenges are saved face down, and
+     * on a hot-seat board a pending mismatch has already passed play on.
+     * @returns {Object} JSON-safe snapshot
+     */
+    serialize() {
+      const {
+        mode,
+        level,
+        timeLimit,
+        timeRemaining,
+        turns,
+        matchedPairs,
+        mismatches,
+        maxMismatches,
+        reflexWindow,
+        reactionTimes,
+        combo,
+        bestCombo,
+        reflexScore,
+        hintLimits,
+        hintsUsed,
+        seed,
+        scores,
+        currentPlayer,
+        flipped,
+      } = this.state;
+      const passesPlay = flipped.length === 2 && scores.length > 1;
+      return {
+        mode,
+        level,
+        timeLimit,
+        timeRemaining,
+        turns,
+        matchedPairs,
+        mismatches,
+        maxMismatches,
+        reflexWindow,
+        reactionTimes: reactionTimes.slice(),
+        combo,
+        bestCombo,
+        reflexScore,
+        hintLimits: { ...hintLimits },
+        hintsUsed: { ...hintsUsed },
+        seed,
+        scores: scores.slice(),
+        currentPlayer: passesPlay ? (currentPlayer + 1) % scores.length : currentPlayer,
+        playTime: this.getPlayTime(),
+        cards: this.state.cards.map(({ id, pairId, kind, value, alt, matched }) => ({
+          id,
+          pairId,
+          kind,
+          value,
+          alt,
+          matched,
+        })),
+      };
+    }
+
+    /**
+     * Rebuild a board from serialize() output. Like setup(), the board
+     * stays closed until start(), which continues the timer from where
+     * the snapshot left it.
+     * @param {Object} snapshot
+     */
+    restore(snapshot) {
+      this.stop();
+      this.clock.resume();
+      const cards = snapshot.cards.map((card) => ({
+        ...card,
+        faceUp: card.matched,
+      }));
+
+      this.state = this._createState();
+      this.state.mode = snapshot.mode;
+      this.state.level = snapshot.level;
+      this.state.timeLimit = snapshot.timeLimit;
+      this.state.timeRemaining = snapshot.timeRemaining;
+      this.state.turns = snapshot.turns;
+      this.state.matchedPairs = snapshot.matchedPairs;
+      this.state.mismatches = snapshot.mismatches || 0;
+      this.state.maxMismatches = snapshot.maxMismatches || 0;
+      this.state.reflexWindow = snapshot.reflexWindow || this.options.reflexWindow;
+      this.state.reactionTimes = snapshot.reactionTimes || [];
+      this.state.combo = snapshot.combo || 0;
+      this.state.bestCombo = snapshot.bestCombo || 0;
+      this.state.reflexScore = snapshot.reflexScore || 0;
+      this.state.hintLimits = { ...snapshot.hintLimits };
+      this.state.hintsUsed = { ...this.state.hintsUsed, ...snapshot.hintsUsed };
+      this.state.seed = snapshot.seed === undefined ? null : snapshot.seed;
+      this.state.scores = snapshot.scores ? snapshot.scores.slice() : [snapshot.matchedPairs];
+      this.state.currentPlayer = snapshot.currentPlayer || 0;
+      this.state.playTime = snapshot.playTime || 0;
+      this.state.cards = cards;
+      this.state.totalPairs = cards.length / 2;
+      this.state.status = "ready";
+      this._random = this.random;
+      this._setup = null;
+
+      this._emit("deal", { cards });
+    }
+
+    /**
+     * Open the board for play: starts the level timer and reflex challenges.
+     */
+    start() {
+      if (this.state.status !== "ready") return;
+      this.state.status = "playing";
+      this.state.locked = false;
+      this._playStartedAt = this.clock.now() - this.state.playTime;
+      this._emit("start", { mode: this.state.mode, level: this.state.level });
+
+      if (this.state.timeLimit) {
+        this._startTimer(this.state.timeRemaining || this.state.timeLimit);
+      }
+      if (this.state.mode === "reflex") {
+        this._schedule(
+          () => this._triggerReflexChallenge(),
+          this.options.reflexStartDelay
+        );
+      }
+    }
+
+    /**
+     * Flip a card by id. Ignored when the move is not allowed.
+     * @param {number} cardId
+     * @returns {boolean} Whether the flip was accepted
+     */
+    flip(cardId) {
+      this._emit("input", { type: "flip", cardId });
+      const state = this.state;
+      const card = this.getCard(cardId);
+      if (
+        !card ||
+        state.status !== "playing" ||
+        state.isPaused ||
+        card.faceUp ||
+        (state.locked && state.reflexCardId === null)
+      )
+        return false;
+
+      if (state.reflexCardId !== null) {
+        this._handleReflexResponse(card);
+      } else {
+        this._handleNormalFlip(card);
+      }
+      return true;
+    }
+
+    /**
+     * Whether a hint can be used right now: some of its uses are left and
+     * the board is in a state it applies to. "reveal" needs one card face
+     * up, "peek" needs none, "freeze" needs a running level timer.
+     * @param {string} type - "reveal", "peek" or "freeze"
+     * @returns {boolean}
+     */
+    canUseHint(type) {
+      const state = this.state;
+      if (!HINT_TYPES.includes(type)) return false;
+      if (state.status !== "playing" || state.isPaused) return false;
+      if (state.hintsUsed[type] >= (state.hintLimits[type] || 0)) return false;
+      if (type === "reveal") return state.flipped.length === 1 && !state.locked;
+      if (type === "peek") return state.flipped.length === 0 && !state.locked;
+      return state.timeLimit > 0 && !state.timerFrozen;
+    }
+
+    /**
+     * Use a hint. "reveal" shows the partner of the face-up card, "peek"
+     * shows every unmatched card and locks the board meanwhile, "freeze"
+     * stops the level timer for a while.
+     * @param {string} type
+     * @returns {boolean} Whether the hint was used
+     */
+    useHint(type) {
+      this._emit("input", { type: "hint", hint: type });
+      if (!this.canUseHint(type)) return false;
+      const state = this.state;
+      const { hintRevealTime, hintPeekTime, hintFreezeTime } = this.options;
+      state.hintsUsed[type]++;
+
+      if (type === "reveal") {
+        const partner = this.getPartner(this.getCard(state.flipped[0]));
+        this._emit("hint", { type, cards: [partner], duration: hintRevealTime });
+      } else if (type === "peek") {
+        state.locked = true;
+        this._schedule(() => {
+          state.locked = false;
+        }, hintPeekTime);
+        const cards = state.cards.filter((card) => !card.matched);
+        this._emit("hint", { type, cards, duration: hintPeekTime });
+      } else {
+        state.timerFrozen = true;
+        this._schedule(() => {
+          state.timerFrozen = false;
+        }, hintFreezeTime);
+        this._emit("hint", { type, cards: [], duration: hintFreezeTime });
+      }
+      return true;
+    }
+
+    /**
+     * Reopen a board that was lost on time with `seconds` more on the clock.
+     * Unmatched cards left face up are turned back over first.
+     * @param {number} seconds
+     * @returns {boolean} Whether the board was reopened
+     */
+    addTime(seconds) {
+      this._emit("input", { type: "addTime", seconds });
+      const state = this.state;
+      if (state.status !== "lost" || !state.timeLimit || seconds <= 0) return false;
+      const faceUp = state.cards.filter((card) => card.faceUp && !card.matched);
+      faceUp.forEach((card) => {
+        card.faceUp = false;
+      });
+      this._resetTurnState();
+      state.status = "playing";
+      this._playStartedAt = this.clock.now() - state.playTime;
+      if (faceUp.length > 0) this._emit("unflip", { cards: faceUp });
+      this._startTimer(seconds);
+      return true;
+    }
+
+    /**
+     * Freeze the game clock: the level timer, reflex windows and pending
+     * flip-backs all wait until resume().
+     */
+    pause() {
+      this._emit("input", { type: "pause" });
+      this.state.isPaused = true;
+      this.clock.pause();
+    }
+
+    resume() {
+      this._emit("input", { type: "resume" });
+      this.state.isPaused = false;
+      this.clock.resume();
+    }
+
+    /**
+     * Cancel every pending timeout and the level timer.
+     */
+    stop() {
+      this._pending.forEach((id) => this.clock.clearTimeout(id));
+      this._pending.clear();
+      this.clock.clearInterval(this._timerId);
+      this._timerId = null;
+      if (this.state.status === "ready" || this.state.status === "playing") {
+        this.state.playTime = this.getPlayTime();
+        this.state.status = "stopped";
+      }
+    }
+
+    /**
+     * Milliseconds the board has been played for, not counting pauses
+     * @returns {number}
+     */
+    getPlayTime() {
+      if (this.state.status !== "playing") return this.state.playTime;
+      return this.clock.now() - this._playStartedAt;
+    }
+
+    getCard(cardId) {
+      return this.state.cards.find((card) => card.id === cardId) || null;
+    }
+
+    /**
+     * The other card of the same pair
+     * @param {Object} card
+     * @returns {Object|null}
+     */
+    getPartner(card) {
+      return (
+        this.state.cards.find(
+          (other) => other.pairId === card.pairId && other.id !== card.id
+        ) || null
+      );
+    }
+
+    /**
+     * Reaction times and score of the reflex round so far
+     * @returns {{ averageReaction: number|null, bestReaction: number|null, bestCombo: number, score: number }}
+     */
+    getReflexStats() {
+      const { reactionTimes, bestCombo, reflexScore } = this.state;
+      const total = reactionTimes.reduce((sum, ms) => sum + ms, 0);
+      return {
+        averageReaction: reactionTimes.length ? Math.round(total / reactionTimes.length) : null,
+        bestReaction: reactionTimes.length ? Math.min(...reactionTimes) : null,
+        bestCombo,
+        score: reflexScore,
+      };
+    }
+
+    // --- Internal Helpers ---
+
+    _createState() {
+      return {
+        status: "idle", // idle | ready | playing | won | lost | stopped
+        mode: null,
+        level: null,
+        cards: [],
+        flipped: [],
+        locked: true,
+        turns: 0,
+        timeLimit: 0,
+        timeRemaining: 0,
+        matchedPairs: 0,
+        totalPairs: 0,
+        mismatches: 0,
+        maxMismatches: 0, // 0 means no limit
+        reflexWindow: 0, // ms allowed for the current reflex challenge
+        reflexStartedAt: 0, // clock time the current challenge appeared
+        reactionTimes: [], // ms taken for each correct reflex answer
+        combo: 0, // correct matches in a row
+        bestCombo: 0,
+        reflexScore: 0,
+        hintLimits: {}, // hint type -> uses allowed
+        hintsUsed: { reveal: 0, peek: 0, freeze: 0 },
+        timerFrozen: false,
+        scores: [0], // pairs found by each player
+        currentPlayer: 0, // index into scores
+        seed: null, // the board was dealt from this; null after restore() of an old save
+        playTime: 0, // ms played, kept up to date whenever play stops
+        reflexCardId: null,
+        isPaused: false,
+      };
+    }
+
+    _emit(type, payload) {
+      (this._listeners[type] || []).slice().forEach((listener) => listener(payload));
+      if (type !== "change") this._emit("change", { type });
+    }
+
+    _schedule(fn, ms) {
+      const id = this.clock.setTimeout(() => {
+        this._pending.delete(id);
+        fn();
+      }, ms);
+      this._pending.add(id);
+      return id;
+    }
+
+    _cancel(id) {
+      this.clock.clearTimeout(id);
+      this._pending.delete(id);
+    }
+
+    _countTurn() {
+      this.state.turns++;
+      this._emit("turn", { turns: this.state.turns });
+    }
+
+    _handleNormalFlip(card) {
+      card.faceUp = true;
+      this.state.flipped.push(card.id);
+      this._emit("flip", { card });
+      if (this.state.flipped.length === 2) {
+        this.state.locked = true;
+        this._countTurn();
+        this._checkForMatch();
+      }
+    }
+
+    _checkForMatch() {
+      const [first, second] = this.state.flipped.map((id) => this.getCard(id));
+      first.pairId === second.pairId
+        ? this._handleCorrectMatch(first, second)
+        : this._handleIncorrectMatch(first, second);
+    }
+
+    _handleCorrectMatch(first, second) {
+      first.matched = true;
+      second.matched = true;
+      this.state.matchedPairs++;
+      this.state.scores[this.state.currentPlayer]++;
+      this.state.combo++;
+      this.state.bestCombo = Math.max(this.state.bestCombo, this.state.combo);
+      const reflexHit =
+        this.state.mode === "reflex" ? this._recordReflexHit() : {};
+      this._resetTurnState();
+      this._emit("match", {
+        cards: [first, second],
+        combo: this.state.combo,
+        ...reflexHit,
+      });
+
+      if (this.state.matchedPairs === this.state.totalPairs) {
+        this._finish("won");
+      } else if (this.state.mode === "reflex") {
+        this._schedule(
+          () => this._triggerReflexChallenge(),
+          this.options.reflexInterval
+        );
+      }
+    }
+
+    _handleIncorrectMatch(first, second) {
+      const state = this.state;
+      state.mismatches++;
+      state.combo = 0;
+      if (state.mode === "reflex") this._recordReflexMiss();
+      this._emit("mismatch", { cards: [first, second] });
+      this._schedule(() => {
+        first.faceUp = false;
+        second.faceUp = false;
+        this._resetTurnState();
+        this._emit("unflip", { cards: [first, second] });
+        if (state.maxMismatches && state.mismatches >= state.maxMismatches) {
+          this._finish("lost", "mismatches");
+        } else if (state.scores.length > 1) {
+          state.currentPlayer = (state.currentPlayer + 1) % state.scores.length;
+          this._emit("player", { player: state.currentPlayer });
+        } else if (state.mode === "reflex") {
+          this._schedule(
+            () => this._triggerReflexChallenge(),
+            this.options.reflexInterval
+          );
+        }
+      }, this.options.mismatchDelay);
+    }
+
+    _resetTurnState() {
+      this.state.flipped = [];
+      this.state.locked = false;
+      this.state.reflexCardId = null;
+    }
+
+    _triggerReflexChallenge() {
+      const state = this.state;
+      if (
+        state.status !== "playing" ||
+        state.matchedPairs === state.totalPairs ||
+        state.reflexCardId !== null
+      )
+        return;
+      const unmatched = state.cards.filter((card) => !card.matched);
+      if (unmatched.length < 2) return;
+
+      const card = unmatched[Math.floor(this._random() * unmatched.length)];
+      card.faceUp = true;
+      state.locked = true;
+      state.reflexCardId = card.id;
+      state.reflexStartedAt = this.clock.now();
+      this._emit("reflexChallenge", { card, window: state.reflexWindow });
+      this._reflexTimeoutId = this._schedule(
+        () => this._handleReflexTimeout(),
+        state.reflexWindow
+      );
+    }
+
+    _handleReflexResponse(card) {
+      this._cancel(this._reflexTimeoutId);
+      this._reactionTime = this.clock.now() - this.state.reflexStartedAt;
+      this._countTurn(); // A player's response counts as a move
+      card.faceUp = true;
+      this._emit("flip", { card });
+      this.state.flipped = [this.state.reflexCardId, card.id];
+      this._checkForMatch();
+    }
+
+    _handleReflexTimeout() {
+      const card = this.getCard(this.state.reflexCardId);
+      if (!card) return;
+      this._countTurn(); // Timing out also counts as a move
+      this._recordReflexMiss();
+      card.faceUp = false;
+      this._resetTurnState();
+      this._emit("reflexTimeout", { card });
+      this._schedule(
+        () => this._triggerReflexChallenge(),
+        this.options.reflexInterval
+      );
+    }
+
+    // A hit speeds up the next challenge and scores by the combo
+    _recordReflexHit() {
+      const state = this.state;
+      const { reflexSpeedUp, reflexPoints, maxComboMultiplier } = this.options;
+      const reactionTime = this._reactionTime;
+      state.reactionTimes.push(reactionTime);
+      const points = reflexPoints * Math.min(state.combo, maxComboMultiplier);
+      state.reflexScore += points;
+      this._setReflexWindow(state.reflexWindow * reflexSpeedUp);
+      return { reactionTime, points };
+    }
+
+    // A miss or timeout eases the next challenge off and breaks the combo
+    _recordReflexMiss() {
+      this.state.combo = 0;
+      this._setReflexWindow(this.state.reflexWindow * this.options.reflexEaseOff);
+    }
+
+    _setReflexWindow(ms) {
+      const { reflexMinWindow, reflexMaxWindow } = this.options;
+      this.state.reflexWindow = Math.round(
+        Math.min(reflexMaxWindow, Math.max(reflexMinWindow, ms))
+      );
+    }
+
+    _startTimer(duration) {
+      this.state.timeRemaining = duration;
+      this._emit("tick", { timeRemaining: duration });
+      this._timerId = this.clock.setInterval(() => {
+        if (this.state.timerFrozen) return;
+        this.state.timeRemaining--;
+        this._emit("tick", { timeRemaining: this.state.timeRemaining });
+        if (this.state.timeRemaining <= 0) this._finish("lost", "timeout");
+      }, 1000);
+    }
+
+    _finish(status, reason) {
+      this.stop(); // Also saves the play time
+      this.state.status = status;
+      this.state.locked = true;
+      const { mode, level, turns } = this.state;
+      if (status === "won") {
+        this._emit("win", { mode, level, turns });
+      } else {
+        this._emit("lose", { mode, level, turns, reason });
+      }
+    }
+  }
+
+  GameEngine.shuffle = shuffle;
+  GameEngine.buildDeck = buildDeck;
+  GameEngine.createSeededRandom = createSeededRandom;
+  GameEngine.HINT_TYPES = HINT_TYPES;
+
+  return GameEngine;
+});
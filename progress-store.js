@@ -0,0 +1,266 @@
+// =====================================================
+// Progress Store for BrainMatch
+// =====================================================
+// Keeps per-pack level results, the in-progress campaign
+// run, reflex bests, daily challenge attempts, study
+// boxes, last/best games, the player's settings and the
+// board being played in localStorage (or any object with
+// getItem and setItem) so they survive a reload. Storage
+// failures are ignored: the game keeps working, it just
+// forgets.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ProgressStore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const STORAGE_KEY = "brainmatch_progress";
+  const VERSION = 1;
+
+  function createEmptyData() {
+    return {
+      version: VERSION,
+      lastPack: null,
+      board: null, // { pack, snapshot, totals, savedAt } for a board left mid-play
+      settings: {}, // group (e.g. "display") -> the choices made in it
+      packs: {},
+    };
+  }
+
+  function createEmptyPack() {
+    return {
+      levels: {}, // level number -> { stars, bestTurns, bestXP }
+      run: null, // { level, turns, xp, bestCombo } for a campaign left mid-way
+      reflexBestMoves: null,
+      lastGame: null, // { turns, xp, date } of the last finished campaign
+      bestGame: null, // { turns, xp, date }
+      daily: {}, // date (YYYY-MM-DD) -> { finished, turns, time, stars, outcomes }
+      study: {}, // pair key -> { box, due, mistakes, reviews } (see study-scheduler.js)
+    };
+  }
+
+  class ProgressStore {
+    /**
+     * @param {Storage|null} storage - Usually window.localStorage
+     * @param {string} [key] - Storage key to read and write
+     */
+    constructor(storage, key = STORAGE_KEY) {
+      this._storage = storage;
+      this._key = key;
+      this.data = this._load();
+    }
+
+    /**
+     * Saved progress for a pack, created empty on first use
+     * @param {string} packKey
+     * @returns {Object}
+     */
+    getPack(packKey) {
+      if (!this.data.packs[packKey]) {
+        this.data.packs[packKey] = createEmptyPack();
+      }
+      // Packs saved before a field existed get its empty value
+      this.data.packs[packKey] = { ...createEmptyPack(), ...this.data.packs[packKey] };
+      return this.data.packs[packKey];
+    }
+
+    /**
+     * Result for one level, or null if it was never cleared
+     * @param {string} packKey
+     * @param {number} level
+     * @returns {Object|null} { stars, bestTurns, bestXP }
+     */
+    getLevel(packKey, level) {
+      return this.getPack(packKey).levels[level] || null;
+    }
+
+    /**
+     * Keep the best stars, turns and XP seen for a cleared level
+     * @param {string} packKey
+     * @param {number} level
+     * @param {{ stars: number, turns: number, xp: number }} result
+     */
+    recordLevel(packKey, level, { stars, turns, xp }) {
+      const levels = this.getPack(packKey).levels;
+      const best = levels[level];
+      levels[level] = best
+        ? {
+            stars: Math.max(best.stars, stars),
+            bestTurns: Math.min(best.bestTurns, turns),
+            bestXP: Math.max(best.bestXP, xp),
+          }
+        : { stars, bestTurns: turns, bestXP: xp };
+      this.save();
+    }
+
+    /**
+     * Remember where a campaign run is, so it can be continued after a reload
+     * @param {string} packKey
+     * @param {{ level: number, turns: number, xp: number, bestCombo: number }|null} run
+     */
+    setRun(packKey, run) {
+      this.getPack(packKey).run = run;
+      this.save();
+    }
+
+    /**
+     * Record a finished campaign as the pack's last game, and as its best game
+     * when it earned more XP (or the same XP in fewer turns).
+     * @param {string} packKey
+     * @param {{ turns: number, xp: number }} totals
+     */
+    recordGame(packKey, { turns, xp }) {
+      const pack = this.getPack(packKey);
+      const game = { turns, xp, date: new Date().toISOString() };
+      const best = pack.bestGame;
+      pack.lastGame = game;
+      if (!best || xp > best.xp || (xp === best.xp && turns < best.turns)) {
+        pack.bestGame = game;
+      }
+      pack.run = null;
+      this.save();
+    }
+
+    /**
+     * Keep the fewest moves a Reflex Mode round has been finished in
+     * @param {string} packKey
+     * @param {number} moves
+     */
+    recordReflex(packKey, moves) {
+      const pack = this.getPack(packKey);
+      if (pack.reflexBestMoves === null || moves < pack.reflexBestMoves) {
+        pack.reflexBestMoves = moves;
+      }
+      this.save();
+    }
+
+    /**
+     * The day's daily challenge attempt, or null if it was not started
+     * @param {string} packKey
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object|null}
+     */
+    getDaily(packKey, date) {
+      return this.getPack(packKey).daily[date] || null;
+    }
+
+    /**
+     * Record the day's attempt. Called when it starts, so leaving and
+     * starting over does not give a second try, and again with the result.
+     * @param {string} packKey
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} attempt - { finished, turns, time, stars, outcomes }
+     */
+    recordDaily(packKey, date, attempt) {
+      this.getPack(packKey).daily[date] = attempt;
+      this.save();
+    }
+
+    /**
+     * Study entries of a pack, by pair key
+     * @param {string} packKey
+     * @returns {Object}
+     */
+    getStudy(packKey) {
+      return this.getPack(packKey).study;
+    }
+
+    /**
+     * Store a pair's study entry
+     * @param {string} packKey
+     * @param {string} key - Pair key
+     * @param {Object} entry - { box, due, mistakes, reviews }
+     */
+    recordStudy(packKey, key, entry) {
+      this.getPack(packKey).study[key] = entry;
+      this.save();
+    }
+
+    /**
+     * Save the board being played (GameEngine#serialize output)
+     * @param {string} packKey
+     * @param {Object} snapshot
+     * @param {{ turns: number, xp: number, bestCombo: number, daily: Object|null, study: Object|null, mistakes: Object, bonusTimeUsed: boolean, levelReplay: boolean }} totals - Campaign totals before this board, the daily or study run it belongs to, its wrong matches per pair, whether its bonus time was taken and whether it replays a cleared level
+     */
+    saveBoard(packKey, snapshot, totals) {
+      this.data.board = {
+        pack: packKey,
+        snapshot,
+        totals,
+        savedAt: new Date().toISOString(),
+      };
+      this.save();
+    }
+
+    clearBoard() {
+      if (!this.data.board) return;
+      this.data.board = null;
+      this.save();
+    }
+
+    /**
+     * Saved choices for a group of settings, empty until one is made
+     * @param {string} group - e.g. "display"
+     * @returns {Object}
+     */
+    getSettings(group) {
+      return this.data.settings[group] || {};
+    }
+
+    /**
+     * Save a group of settings, merged into what is already saved
+     * @param {string} group
+     * @param {Object} settings
+     */
+    saveSettings(group, settings) {
+      this.data.settings[group] = { ...this.getSettings(group), ...settings };
+      this.save();
+    }
+
+    setLastPack(packKey) {
+      this.data.lastPack = packKey;
+      this.save();
+    }
+
+    save() {
+      if (!this._storage) return;
+      try {
+        this._storage.setItem(this._key, JSON.stringify(this.data));
+      } catch (e) { /* ignore */ }
+    }
+
+    // --- Internal Helpers ---
+
+    _load() {
+      if (!this._storage) return createEmptyData();
+      try {
+        const saved = JSON.parse(this._storage.getItem(this._key));
+        if (saved && saved.version === VERSION) {
+          return this._moveGamesToPacks({ ...createEmptyData(), ...saved });
+        }
+      } catch (e) { /* ignore */ }
+      return createEmptyData();
+    }
+
+    // The last and best games were once kept for all packs together,
+    // each naming the pack it was played in
+    _moveGamesToPacks(data) {
+      ["lastGame", "bestGame"].forEach((field) => {
+        const game = data[field];
+        delete data[field];
+        if (!game || !game.pack) return;
+        const { pack, ...rest } = game;
+        const saved = data.packs[pack] || {};
+        if (!saved[field]) data.packs[pack] = { ...saved, [field]: rest };
+      });
+      return data;
+    }
+  }
+
+  return ProgressStore;
+});
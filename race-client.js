@@ -0,0 +1,156 @@
+// =====================================================
+// Race Client for BrainMatch
+// =====================================================
+// Talks to the Online Race relay (relay-server/server.js)
+// over a WebSocket: opens or joins a room, passes board
+// progress to the rival and reports the result the relay
+// decides. Loads as a plain <script> (window.RaceClient)
+// or with require() in Node.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RaceClient = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /**
+   * RaceClient - One player's connection to a race.
+   *
+   * Events (listener receives a single payload object):
+   *   created    { room }                        - room code to give the rival
+   *   start      { board, seat }                 - setup() config both players get
+   *   progress   { matchedPairs, totalPairs, turns } - the rival's board
+   *   result     { winner, reason, won }         - reason is "finished" or "left"
+   *   error      { message }
+   *   disconnect {}                              - the connection closed
+   */
+  class RaceClient {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.WebSocket] - WebSocket constructor to connect with
+     */
+    constructor(options = {}) {
+      this.WebSocket = options.WebSocket || (typeof WebSocket !== "undefined" ? WebSocket : null);
+      this.socket = null;
+      this.room = null;
+      this.seat = null;
+      this._listeners = {};
+    }
+
+    /**
+     * Subscribe to a client event
+     * @param {string} type - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+      (this._listeners[type] = this._listeners[type] || []).push(listener);
+      return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+      const listeners = this._listeners[type];
+      if (!listeners) return;
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    }
+
+    /**
+     * Open the connection to the relay
+     * @param {string} url - e.g. ws://localhost:8080/race
+     * @returns {Promise<void>} Rejects when the relay cannot be reached
+     */
+    connect(url) {
+      return new Promise((resolve, reject) => {
+        let socket;
+        try {
+          socket = new this.WebSocket(url);
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        this.socket = socket;
+        let opened = false;
+        socket.onopen = () => {
+          opened = true;
+          resolve();
+        };
+        socket.onmessage = (event) => this._receive(event.data);
+        socket.onclose = () => {
+          this.socket = null;
+          if (opened) this._emit("disconnect", {});
+          else reject(new Error(`Could not connect to ${url}`));
+        };
+      });
+    }
+
+    /**
+     * Open a room for this board; the relay answers with "created"
+     * @param {Object} board - GameEngine setup() config, with a seed
+     */
+    create(board) {
+      this._send({ type: "create", board });
+    }
+
+    /**
+     * Take the second seat of a room; both players then get "start"
+     * @param {string} room - Code the host was given
+     */
+    join(room) {
+      this._send({ type: "join", room });
+    }
+
+    sendProgress({ matchedPairs, totalPairs, turns }) {
+      this._send({ type: "progress", matchedPairs, totalPairs, turns });
+    }
+
+    /**
+     * Report that this player cleared the board
+     * @param {number} turns
+     */
+    finish(turns) {
+      this._send({ type: "finished", turns });
+    }
+
+    /**
+     * Leave the race. A race still being played is forfeited.
+     */
+    close() {
+      if (!this.socket) return;
+      const socket = this.socket;
+      this.socket = null;
+      socket.onclose = null;
+      socket.close();
+    }
+
+    // --- Internal Helpers ---
+
+    _send(message) {
+      if (this.socket) this.socket.send(JSON.stringify(message));
+    }
+
+    _receive(data) {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        return; // Not from the relay
+      }
+      if (message.type === "created") this.room = message.room;
+      if (message.type === "start") this.seat = message.seat;
+      if (message.type === "result") message.won = message.winner === this.seat;
+      const { type, ...payload } = message;
+      this._emit(type, payload);
+    }
+
+    _emit(type, payload) {
+      (this._listeners[type] || []).slice().forEach((listener) => listener(payload));
+    }
+  }
+
+  return RaceClient;
+});
@@ -0,0 +1,334 @@
+// =====================================================
+// Race Relay for BrainMatch
+// =====================================================
+// A small WebSocket relay for Online Race, with no
+// dependencies beyond Node itself. It also serves the
+// game files, so on a LAN every device can open
+// http://<this machine>:8080/ and race through it.
+//
+// Protocol (JSON text frames):
+//   client -> relay
+//     create   { board }           open a room; board is the GameEngine setup both players get
+//     join     { room }            take the second seat of a room
+//     progress { matchedPairs, totalPairs, turns }
+//     finished { turns }           this player cleared the board
+//   relay -> client
+//     created  { room }
+//     start    { board, seat }     both seats are taken; seat is 0 (host) or 1
+//     progress { matchedPairs, totalPairs, turns } from the opponent
+//     result   { winner, reason }  winner is a seat; reason is "finished" or "left"
+//     error    { message }
+// =====================================================
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.env.PORT) || 8080;
+const GAME_ROOT = path.resolve(__dirname, "..");
+const RELAY_PATH = "/race";
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1024 * 1024; // a board with every pair of a big pack fits easily
+const CLOSE_TOO_BIG = 1009; // close status for a message over MAX_MESSAGE_BYTES
+const ROOM_CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // no I or O, they read like 1 and 0
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".ogg": "audio/ogg",
+};
+
+const rooms = new Map(); // code -> { board, seats: [peer, peer?], finished }
+
+// --- WebSocket Connection ---
+
+class Peer {
+  constructor(socket) {
+    this.socket = socket;
+    this.room = null;
+    this.seat = null;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._fragmentBytes = 0; // size of the message in _fragments so far
+    this._closed = false;
+    this.onMessage = () => {};
+    this.onClose = () => {};
+
+    socket.on("data", (chunk) => this._receive(chunk));
+    // Upgraded sockets are half-open: a client that goes without a close
+    // frame would otherwise keep its seat and the connection forever
+    socket.on("end", () => socket.end());
+    socket.on("close", () => this._handleClose());
+    socket.on("error", () => this._handleClose());
+  }
+
+  send(message) {
+    if (this._closed) return;
+    this.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  }
+
+  /**
+   * @param {number} [code] - Close status to send, e.g. 1009 for a message that is too big
+   */
+  close(code) {
+    if (this._closed) return;
+    let payload = Buffer.alloc(0);
+    if (code) {
+      payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+    }
+    this.socket.write(encodeFrame(0x8, payload));
+    this.socket.end();
+    this._handleClose();
+  }
+
+  // --- Internal Helpers ---
+
+  _receive(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    if (this._buffer.length > MAX_MESSAGE_BYTES + 14) {
+      this.close(CLOSE_TOO_BIG); // 14 bytes is the largest frame header
+      return;
+    }
+    let frame;
+    while ((frame = decodeFrame(this._buffer))) {
+      this._buffer = this._buffer.subarray(frame.length);
+      if (frame.payload.length > MAX_MESSAGE_BYTES) {
+        this.close(CLOSE_TOO_BIG);
+        return;
+      }
+      this._handleFrame(frame);
+      if (this._closed) return;
+    }
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    if (opcode === 0x8) {
+      this.close();
+    } else if (opcode === 0x9) {
+      this.socket.write(encodeFrame(0xa, payload));
+    } else if (opcode === 0x1 || opcode === 0x0) {
+      // Each fragment fits, but the message they add up to must fit too
+      this._fragmentBytes += payload.length;
+      if (this._fragmentBytes > MAX_MESSAGE_BYTES) {
+        this.close(CLOSE_TOO_BIG);
+        return;
+      }
+      this._fragments.push(payload);
+      if (!fin) return;
+      const text = Buffer.concat(this._fragments).toString("utf8");
+      this._fragments = [];
+      this._fragmentBytes = 0;
+      let message = null;
+      try {
+        message = JSON.parse(text);
+      } catch (e) { /* reported below */ }
+      if (!message || typeof message !== "object") {
+        this.send({ type: "error", message: "Messages must be JSON objects" });
+        return;
+      }
+      this.onMessage(message);
+    }
+  }
+
+  _handleClose() {
+    if (this._closed) return;
+    this._closed = true;
+    this.onClose();
+  }
+}
+
+// Returns null until the buffer holds a whole frame
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  return { fin, opcode, payload, length: offset + length };
+}
+
+// Server frames are never masked or fragmented
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// --- Rooms ---
+
+function createRoomCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(4), (byte) => ROOM_CODE_LETTERS[byte % ROOM_CODE_LETTERS.length]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function handleMessage(peer, message) {
+  if (message.type === "create") {
+    if (peer.room || !message.board) {
+      peer.send({ type: "error", message: "Cannot open a room now" });
+      return;
+    }
+    const code = createRoomCode();
+    rooms.set(code, { board: message.board, seats: [peer], finished: false });
+    peer.room = code;
+    peer.seat = 0;
+    peer.send({ type: "created", room: code });
+  } else if (message.type === "join") {
+    const code = String(message.room || "").toUpperCase();
+    const room = rooms.get(code);
+    if (peer.room || !room || room.seats.length > 1) {
+      peer.send({ type: "error", message: room ? "That race is full" : "No race with that code" });
+      return;
+    }
+    room.seats.push(peer);
+    peer.room = code;
+    peer.seat = 1;
+    room.seats.forEach((seated) => seated.send({ type: "start", board: room.board, seat: seated.seat }));
+  } else if (message.type === "progress") {
+    const opponent = getOpponent(peer);
+    if (!opponent) return;
+    const { matchedPairs, totalPairs, turns } = message;
+    opponent.send({ type: "progress", matchedPairs, totalPairs, turns });
+  } else if (message.type === "finished") {
+    const room = rooms.get(peer.room);
+    // The first finish to reach the relay wins, whatever the clients think
+    if (!room || room.finished || room.seats.length < 2) return;
+    endRace(peer.room, peer.seat, "finished");
+  } else {
+    peer.send({ type: "error", message: `Unknown message type ${message.type}` });
+  }
+}
+
+function getOpponent(peer) {
+  const room = rooms.get(peer.room);
+  return room ? room.seats.find((seated) => seated !== peer) || null : null;
+}
+
+function endRace(code, winner, reason) {
+  const room = rooms.get(code);
+  room.finished = true;
+  room.seats.forEach((seated) => {
+    seated.send({ type: "result", winner, reason });
+    seated.room = null;
+  });
+  rooms.delete(code);
+}
+
+function handleClose(peer) {
+  const room = rooms.get(peer.room);
+  if (!room) return;
+  const opponent = getOpponent(peer);
+  if (opponent && !room.finished) {
+    endRace(peer.room, opponent.seat, "left");
+  } else {
+    rooms.delete(peer.room);
+  }
+}
+
+// --- HTTP ---
+
+function serveFile(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch (e) {
+    res.writeHead(400).end();
+    return;
+  }
+  const file = path.join(GAME_ROOT, urlPath === "/" ? "index.html" : urlPath);
+  // Stay inside the game folder, and keep this server, dotfiles (.git)
+  // and installed packages private
+  const isPrivate =
+    file.startsWith(__dirname + path.sep) ||
+    urlPath.split("/").some((part) => part.startsWith(".") || part === "node_modules");
+  if (!file.startsWith(GAME_ROOT + path.sep) || isPrivate) {
+    res.writeHead(403).end();
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404).end();
+      return;
+    }
+    const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+    res.writeHead(200, { "Content-Type": type }).end(data);
+  });
+}
+
+function acceptWebSocket(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  const isUpgrade = (req.headers.upgrade || "").toLowerCase() === "websocket";
+  if (new URL(req.url, "http://localhost").pathname !== RELAY_PATH || !isUpgrade || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  const peer = new Peer(socket);
+  peer.onMessage = (message) => handleMessage(peer, message);
+  peer.onClose = () => handleClose(peer);
+}
+
+function createServer() {
+  const server = http.createServer(serveFile);
+  server.on("upgrade", acceptWebSocket);
+  return server;
+}
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`BrainMatch is on http://localhost:${PORT}/ (race relay at ws://localhost:${PORT}${RELAY_PATH})`);
+  });
+}
+
+module.exports = { createServer, decodeFrame, encodeFrame, MAX_MESSAGE_BYTES };
@@ -0,0 +1,281 @@
+const net = require("net");
+const crypto = require("crypto");
+const { createServer, decodeFrame, encodeFrame, MAX_MESSAGE_BYTES } = require("../server.js");
+
+// Client frames are masked, as browsers send them
+function clientFrame(opcode, payload, { fin = true, lengthForm } = {}) {
+  const length = payload.length;
+  let header;
+  if (lengthForm === 127 || length >= 65536) {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  } else if (lengthForm === 126 || length >= 126) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.from([0, 0x80 | length]);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.from(payload);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i % 4];
+  return Buffer.concat([header, mask, masked]);
+}
+
+function textFrame(message, options) {
+  return clientFrame(0x1, Buffer.from(JSON.stringify(message)), options);
+}
+
+// A raw WebSocket client that collects the frames the relay sends
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1");
+    const client = { socket, frames: [], closed: false, _waiters: [] };
+    let buffer = Buffer.alloc(0);
+    let upgraded = false;
+
+    const notify = () => client._waiters.slice().forEach((check) => check());
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (!upgraded) {
+        const end = buffer.indexOf("\r\n\r\n");
+        if (end === -1) return;
+        const head = buffer.subarray(0, end).toString();
+        buffer = buffer.subarray(end + 4);
+        upgraded = true;
+        if (!head.startsWith("HTTP/1.1 101")) return reject(new Error(head));
+        resolve(client);
+      }
+      let frame;
+      while ((frame = decodeFrame(buffer))) {
+        buffer = buffer.subarray(frame.length);
+        client.frames.push(frame);
+      }
+      notify();
+    });
+    socket.on("close", () => {
+      client.closed = true;
+      notify();
+    });
+    socket.on("error", () => {});
+    socket.write(
+      "GET /race HTTP/1.1\r\n" +
+        "Host: localhost\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString("base64")}\r\n` +
+        "Sec-WebSocket-Version: 13\r\n\r\n"
+    );
+  });
+}
+
+// Resolves with the first frame of `opcode` not taken yet
+function nextFrame(client, opcode = 0x1) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No frame with opcode ${opcode}`)), 2000);
+    const check = () => {
+      const index = client.frames.findIndex((frame) => frame.opcode === opcode);
+      if (index === -1) return;
+      const [frame] = client.frames.splice(index, 1);
+      client._waiters.splice(client._waiters.indexOf(check), 1);
+      clearTimeout(timer);
+      resolve(frame);
+    };
+    client._waiters.push(check);
+    check();
+  });
+}
+
+async function nextMessage(client) {
+  return JSON.parse((await nextFrame(client)).payload.toString());
+}
+
+function waitForClose(client) {
+  return new Promise((resolve) => {
+    if (client.closed) return resolve();
+    client._waiters.push(() => client.closed && resolve());
+  });
+}
+
+describe("frames", () => {
+  test("decode a masked frame", () => {
+    const frame = decodeFrame(clientFrame(0x1, Buffer.from("hello")));
+    expect(frame).toMatchObject({ fin: true, opcode: 0x1, length: 11 });
+    expect(frame.payload.toString()).toBe("hello");
+  });
+
+  test("wait for the whole frame", () => {
+    const whole = clientFrame(0x1, Buffer.alloc(300, "x"));
+    expect(decodeFrame(whole.subarray(0, 1))).toBeNull();
+    expect(decodeFrame(whole.subarray(0, 3))).toBeNull();
+    expect(decodeFrame(whole.subarray(0, whole.length - 1))).toBeNull();
+    expect(decodeFrame(whole).payload).toHaveLength(300);
+  });
+
+  test.each([
+    ["7-bit", 125, 2],
+    ["16-bit", 126, 4],
+    ["16-bit", 65535, 4],
+    ["64-bit", 65536, 10],
+  ])("round-trip a %s length of %i bytes", (_, length, headerLength) => {
+    const payload = crypto.randomBytes(length);
+    const encoded = encodeFrame(0x2, payload);
+    expect(encoded).toHaveLength(headerLength + length);
+    const frame = decodeFrame(encoded);
+    expect(frame.opcode).toBe(0x2);
+    expect(frame.payload.equals(payload)).toBe(true);
+  });
+
+  test("read the 126 and 127 length forms even for short payloads", () => {
+    const payload = Buffer.from("short");
+    expect(decodeFrame(clientFrame(0x1, payload, { lengthForm: 126 })).payload.toString()).toBe("short");
+    expect(decodeFrame(clientFrame(0x1, payload, { lengthForm: 127 })).payload.toString()).toBe("short");
+  });
+});
+
+describe("relay", () => {
+  let server;
+  let port;
+  const clients = [];
+
+  async function open() {
+    const client = await connect(port);
+    clients.push(client);
+    return client;
+  }
+
+  async function openRace(board = { seed: 7, pairs: [{ a: "Ghana", b: "Accra" }] }) {
+    const host = await open();
+    host.socket.write(textFrame({ type: "create", board }));
+    const { room } = await nextMessage(host);
+    const guest = await open();
+    guest.socket.write(textFrame({ type: "join", room: room.toLowerCase() }));
+    return { host, guest, room };
+  }
+
+  beforeAll(async () => {
+    server = createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach((client) => client.socket.destroy());
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test("opens a room and starts the race when the second seat is taken", async () => {
+    const board = { seed: 7, pairs: [{ a: "Ghana", b: "Accra" }] };
+    const { host, guest, room } = await openRace(board);
+
+    expect(room).toMatch(/^[A-HJ-NP-Z]{4}$/);
+    expect(await nextMessage(host)).toEqual({ type: "start", board, seat: 0 });
+    expect(await nextMessage(guest)).toEqual({ type: "start", board, seat: 1 });
+  });
+
+  test("turns away a join to a full or unknown room", async () => {
+    const { room } = await openRace();
+    const late = await open();
+    late.socket.write(textFrame({ type: "join", room }));
+    expect(await nextMessage(late)).toEqual({ type: "error", message: "That race is full" });
+    late.socket.write(textFrame({ type: "join", room: "ZZZZ" }));
+    expect(await nextMessage(late)).toEqual({ type: "error", message: "No race with that code" });
+  });
+
+  test("passes progress on and gives the race to the first finish", async () => {
+    const { host, guest } = await openRace();
+    await nextMessage(host);
+    await nextMessage(guest);
+
+    guest.socket.write(textFrame({ type: "progress", matchedPairs: 1, totalPairs: 4, turns: 2, extra: "x" }));
+    expect(await nextMessage(host)).toEqual({ type: "progress", matchedPairs: 1, totalPairs: 4, turns: 2 });
+
+    guest.socket.write(textFrame({ type: "finished", turns: 5 }));
+    expect(await nextMessage(host)).toEqual({ type: "result", winner: 1, reason: "finished" });
+    expect(await nextMessage(guest)).toEqual({ type: "result", winner: 1, reason: "finished" });
+
+    // A late finish changes nothing: the room is gone
+    host.socket.write(textFrame({ type: "finished", turns: 6 }));
+    host.socket.write(textFrame({ type: "progress", matchedPairs: 4, totalPairs: 4, turns: 6 }));
+    host.socket.write(clientFrame(0x9, Buffer.from("done")));
+    await nextFrame(host, 0xa);
+    expect(host.frames).toEqual([]);
+    expect(guest.frames).toEqual([]);
+  });
+
+  test("gives the race to the player left behind", async () => {
+    const { host, guest } = await openRace();
+    await nextMessage(host);
+    await nextMessage(guest);
+
+    host.socket.write(clientFrame(0x8, Buffer.alloc(0)));
+    await nextFrame(host, 0x8);
+    expect(await nextMessage(guest)).toEqual({ type: "result", winner: 1, reason: "left" });
+  });
+
+  test("ends the race when a player drops without a close frame", async () => {
+    const { host, guest } = await openRace();
+    await nextMessage(host);
+    await nextMessage(guest);
+
+    guest.socket.end();
+    expect(await nextMessage(host)).toEqual({ type: "result", winner: 0, reason: "left" });
+    await waitForClose(guest);
+  });
+
+  test("joins a fragmented message back together", async () => {
+    const client = await open();
+    const text = Buffer.from(JSON.stringify({ type: "create", board: { seed: 1, pairs: [] } }));
+    client.socket.write(clientFrame(0x1, text.subarray(0, 10), { fin: false }));
+    client.socket.write(clientFrame(0x9, Buffer.from("ping"))); // Control frames may come in between
+    client.socket.write(clientFrame(0x0, text.subarray(10, 20), { fin: false }));
+    client.socket.write(clientFrame(0x0, text.subarray(20)));
+
+    expect((await nextFrame(client, 0xa)).payload.toString()).toBe("ping");
+    expect((await nextMessage(client)).type).toBe("created");
+  });
+
+  test("reads messages with 16- and 64-bit lengths", async () => {
+    const board = { seed: 1, pairs: [{ a: "x".repeat(70000), b: "y" }] };
+    const host = await open();
+    host.socket.write(textFrame({ type: "create", board }));
+    const { room } = await nextMessage(host);
+    const guest = await open();
+    guest.socket.write(textFrame({ type: "join", room }, { lengthForm: 126 }));
+
+    const start = await nextFrame(guest);
+    expect(JSON.parse(start.payload.toString()).board).toEqual(board);
+  });
+
+  test("reports messages that are not JSON objects", async () => {
+    const client = await open();
+    client.socket.write(clientFrame(0x1, Buffer.from("not json")));
+    expect(await nextMessage(client)).toEqual({ type: "error", message: "Messages must be JSON objects" });
+    client.socket.write(textFrame({ type: "dance" }));
+    expect(await nextMessage(client)).toEqual({ type: "error", message: "Unknown message type dance" });
+  });
+
+  test("closes with 1009 when fragments add up to too big a message", async () => {
+    const client = await open();
+    const half = Buffer.alloc(MAX_MESSAGE_BYTES / 2 + 1, " ");
+    client.socket.write(clientFrame(0x1, Buffer.from("{"), { fin: false }));
+    client.socket.write(clientFrame(0x0, half, { fin: false }));
+    client.socket.write(clientFrame(0x0, half, { fin: false }));
+
+    const close = await nextFrame(client, 0x8);
+    expect(close.payload.readUInt16BE(0)).toBe(1009);
+    await waitForClose(client);
+  });
+
+  test("closes with 1009 when one frame is too big", async () => {
+    const client = await open();
+    client.socket.write(clientFrame(0x1, Buffer.alloc(MAX_MESSAGE_BYTES + 1, " ")));
+
+    const close = await nextFrame(client, 0x8);
+    expect(close.payload.readUInt16BE(0)).toBe(1009);
+    await waitForClose(client);
+  });
+});
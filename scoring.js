@@ -0,0 +1,187 @@
+// =====================================================
+// Scoring Rules for BrainMatch
+// =====================================================
+// Turns a level's "scoring" block from gameContent.json
+// into XP and stars. Levels without one get defaults that
+// scale with the number of pairs on the board. Reflex
+// Mode is rated on moves and reaction speed.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Scoring = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Slowest average reaction (ms) for 3 stars, then 2 stars
+  const DEFAULT_REACTION_THRESHOLDS = [1500, 2500];
+
+  // Uses allowed per level and XP taken off for each use
+  const DEFAULT_HINTS = {
+    reveal: { limit: 2, xpCost: 2 },
+    peek: { limit: 1, xpCost: 4 },
+    freeze: { limit: 1, xpCost: 3 },
+  };
+
+  // Bonus XP for each `every` matches in a row in the level's best combo
+  const DEFAULT_COMBO_BONUS = { every: 3, xp: 2 };
+
+  /**
+   * Default rules for a board of `pairCount` pairs. A perfect game takes
+   * `pairCount` turns; 3 stars allow 50% extra turns, 2 stars allow 100%.
+   * @param {number} pairCount
+   * @returns {{ xpTiers: Array<Object>, starThresholds: Array<number>, hints: Object, comboBonus: Object }}
+   */
+  function defaultLevelRules(pairCount) {
+    const threeStarTurns = Math.ceil(pairCount * 1.5);
+    const twoStarTurns = pairCount * 2;
+    return {
+      xpTiers: [
+        { maxTurns: threeStarTurns, xp: pairCount * 5 },
+        { maxTurns: twoStarTurns, xp: pairCount * 4 },
+        { xp: pairCount * 3 },
+      ],
+      starThresholds: [threeStarTurns, twoStarTurns],
+      hints: DEFAULT_HINTS,
+      comboBonus: DEFAULT_COMBO_BONUS,
+    };
+  }
+
+  /**
+   * Number of pairs a level deals: its "pairCount" when set, otherwise
+   * every pair it lists.
+   * @param {Object} levelData - A level entry from gameContent.json
+   * @returns {number}
+   */
+  function getBoardPairCount(levelData) {
+    const available = levelData.pairs ? levelData.pairs.length : 0;
+    return levelData.pairCount > 0
+      ? Math.min(levelData.pairCount, available)
+      : available;
+  }
+
+  /**
+   * Merge a level's own "scoring" block over the defaults for its size.
+   * Hint settings merge per hint type, so a level can change one of them.
+   * @param {Object} levelData - A level entry from gameContent.json
+   * @returns {{ xpTiers: Array<Object>, starThresholds: Array<number>, hints: Object, comboBonus: Object }}
+   */
+  function getLevelRules(levelData) {
+    const defaults = defaultLevelRules(getBoardPairCount(levelData));
+    const scoring = levelData.scoring || {};
+    const hints = {};
+    Object.keys(defaults.hints).forEach((type) => {
+      hints[type] = { ...defaults.hints[type], ...(scoring.hints || {})[type] };
+    });
+    const comboBonus = { ...defaults.comboBonus, ...scoring.comboBonus };
+    return { ...defaults, ...scoring, hints, comboBonus };
+  }
+
+  /**
+   * XP taken off for the hints used on a level
+   * @param {Object} rules - From getLevelRules()
+   * @param {Object} [hintsUsed] - Hint type -> times used
+   * @returns {number}
+   */
+  function calculateHintCost(rules, hintsUsed = {}) {
+    return Object.keys(hintsUsed).reduce(
+      (sum, type) => sum + (rules.hints[type] ? rules.hints[type].xpCost : 0) * hintsUsed[type],
+      0
+    );
+  }
+
+  /**
+   * Bonus XP for the longest run of matches in a row on a level
+   * @param {Object} rules - From getLevelRules()
+   * @param {number} bestCombo
+   * @returns {number}
+   */
+  function calculateComboBonus(rules, bestCombo = 0) {
+    const { every, xp } = rules.comboBonus;
+    return every > 0 ? Math.floor(bestCombo / every) * xp : 0;
+  }
+
+  /**
+   * XP from the first tier whose maxTurns covers `turns`, plus the combo
+   * bonus and less the cost of any hints used. A tier without maxTurns
+   * catches everything.
+   * @param {Object} rules - From getLevelRules()
+   * @param {number} turns
+   * @param {{ hintsUsed: Object, bestCombo: number }} [play] - How the level was played
+   */
+  function calculateXP(rules, turns, { hintsUsed = {}, bestCombo = 0 } = {}) {
+    const tier = rules.xpTiers.find(
+      (t) => t.maxTurns === undefined || turns <= t.maxTurns
+    );
+    const xp = (tier ? tier.xp : 0) + calculateComboBonus(rules, bestCombo);
+    return Math.max(0, xp - calculateHintCost(rules, hintsUsed));
+  }
+
+  /**
+   * starThresholds lists the most turns allowed for 3 stars, then 2 stars.
+   * Finishing the level always earns at least 1 star.
+   */
+  function calculateStars(rules, turns) {
+    const index = rules.starThresholds.findIndex((max) => turns <= max);
+    return index === -1 ? 1 : 3 - index;
+  }
+
+  /**
+   * Default final-score bands: 3 stars from 60% of the best possible
+   * campaign XP, 2 stars from 30%.
+   * @param {Array<Object>} levels - Level entries from gameContent.json
+   * @returns {Array<number>} Minimum total XP for 3 stars, then 2 stars
+   */
+  function defaultFinalScoreBands(levels) {
+    const maxXP = levels.reduce(
+      (sum, levelData) =>
+        sum + Math.max(...getLevelRules(levelData).xpTiers.map((t) => t.xp)),
+      0
+    );
+    return [Math.round(maxXP * 0.6), Math.round(maxXP * 0.3)];
+  }
+
+  /**
+   * finalScoreBands lists the least total XP needed for 3 stars, then 2 stars.
+   */
+  function calculateFinalStars(finalScoreBands, totalXP) {
+    const index = finalScoreBands.findIndex((min) => totalXP >= min);
+    return index === -1 ? 1 : 3 - index;
+  }
+
+  /**
+   * Reflex Mode stars: the lower of a rating for moves (3 for a perfect
+   * round, 2 for up to 50% extra moves) and one for average reaction time.
+   * @param {{ moves: number, pairCount: number, averageReaction: number|null }} round
+   * @param {Array<number>} [reactionThresholds] - Slowest average ms for 3 stars, then 2 stars
+   * @returns {number}
+   */
+  function calculateReflexStars(
+    { moves, pairCount, averageReaction },
+    reactionThresholds = DEFAULT_REACTION_THRESHOLDS
+  ) {
+    let moveStars = 1;
+    if (moves === pairCount) moveStars = 3;
+    else if (moves <= Math.ceil(pairCount * 1.5)) moveStars = 2;
+    if (averageReaction === null) return moveStars;
+    const index = reactionThresholds.findIndex((max) => averageReaction <= max);
+    const speedStars = index === -1 ? 1 : 3 - index;
+    return Math.min(moveStars, speedStars);
+  }
+
+  return {
+    getBoardPairCount,
+    defaultLevelRules,
+    getLevelRules,
+    calculateHintCost,
+    calculateComboBonus,
+    calculateXP,
+    calculateStars,
+    defaultFinalScoreBands,
+    calculateFinalStars,
+    calculateReflexStars,
+  };
+});
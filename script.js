@@ -17,61 +17,218 @@ const closeTutorialButton = document.getElementById('close-tutorial-button');
 const startCampaignButton = document.getElementById("start-campaign-button");
 
 const startReflexButton = document.getElementById("start-reflex-button");
+const startDailyButton = document.getElementById("start-daily-button");
+const startHotSeatButton = document.getElementById("start-hotseat-button");
+const playersPrompt = document.querySelector(".players-prompt");
+const playerCountButtons = document.querySelectorAll(".player-count-button");
+const playersCancelButton = document.getElementById("players-cancel-button");
+const startRaceButton = document.getElementById("start-race-button");
+const racePrompt = document.querySelector(".race-prompt");
+const raceServerInput = document.getElementById("race-server-input");
+const raceCreateButton = document.getElementById("race-create-button");
+const raceCodeInput = document.getElementById("race-code-input");
+const raceJoinButton = document.getElementById("race-join-button");
+const raceCancelButton = document.getElementById("race-cancel-button");
+const raceStatus = document.getElementById("race-status");
+const rivalContainer = document.getElementById("rival-container");
+const rivalDisplay = document.getElementById("rival");
+const startStudyButton = document.getElementById("start-study-button");
+const masteryScreen = document.querySelector(".mastery-screen");
+const masteryGroups = document.querySelectorAll(".mastery-group");
+const masteryDue = document.getElementById("mastery-due");
+const studyNowButton = document.getElementById("study-now-button");
+const masteryMenuButton = document.getElementById("mastery-menu-button");
+const reviewScreen = document.querySelector(".review-screen");
+const reviewSummary = document.getElementById("review-summary");
+const reviewList = document.querySelector(".review-list");
+const reviewNextButton = document.getElementById("review-next-button");
+const continueCampaignButton = document.getElementById("continue-campaign-button");
 const nextActionButton = document.getElementById("next-action-button");
 const cardGrid = document.querySelector(".card-grid");
+const boardAnnouncer = document.getElementById("board-announcer");
+const settingsButton = document.getElementById("settings-button");
+const pauseSettingsButton = document.getElementById("pause-settings-button");
+const settingsPrompt = document.querySelector(".settings-prompt");
+const soundOptions = document.querySelectorAll("[data-sound]");
+const effectsVolumeInput = document.getElementById("effects-volume");
+const displayOptions = document.querySelectorAll("[data-display]");
+const settingsDoneButton = document.getElementById("settings-done-button");
 const levelDisplay = document.getElementById("level-display");
 const turnsContainer = document.getElementById("turns-container");
 const turnsDisplay = document.getElementById("turns");
 const timerContainer = document.getElementById("timer-container");
 const timerDisplay = document.getElementById("timer");
+const missesContainer = document.getElementById("misses-container");
+const missesDisplay = document.getElementById("misses");
+const comboContainer = document.getElementById("combo-container");
+const comboDisplay = document.getElementById("combo");
+const hintBar = document.querySelector(".hint-bar");
+const hintButtons = document.querySelectorAll(".hint-button");
+const replayBar = document.querySelector(".replay-bar");
+const replayPlayButton = document.getElementById("replay-play-button");
+const replayStepButton = document.getElementById("replay-step-button");
+const replayExitButton = document.getElementById("replay-exit-button");
+const replayStatus = document.getElementById("replay-status");
+const replayMessage = document.getElementById("replay-message");
+const watchLastGameButton = document.getElementById("watch-last-game-button");
+const exportLastGameButton = document.getElementById("export-last-game-button");
+const importReplayButton = document.getElementById("import-replay-button");
+const importReplayInput = document.getElementById("import-replay-input");
+const exportRecordingButton = document.getElementById("export-recording-button");
 const winTitle = document.getElementById("win-title");
 const winStatsLabel = document.getElementById("win-stats-label");
 const winStatsValue = document.getElementById("win-stats-value");
 const winXpContainer = document.getElementById("win-xp-container");
 const winXpDisplay = document.getElementById("win-xp");
 const winStarsContainer = document.getElementById("win-stars-container");
+const winReactionContainer = document.getElementById("win-reaction-container");
+const winReactionAverage = document.getElementById("win-reaction-average");
+const winReactionBest = document.getElementById("win-reaction-best");
+const winScoreContainer = document.getElementById("win-score-container");
+const winScoreDisplay = document.getElementById("win-score");
+const winBestCombo = document.getElementById("win-best-combo");
+const winComboContainer = document.getElementById("win-combo-container");
+const winComboDisplay = document.getElementById("win-combo");
+const winComboBonus = document.getElementById("win-combo-bonus");
+const winHintsContainer = document.getElementById("win-hints-container");
+const winHintsUsed = document.getElementById("win-hints-used");
+const winHintsCost = document.getElementById("win-hints-cost");
+const winTimeContainer = document.getElementById("win-time-container");
+const winTimeDisplay = document.getElementById("win-time");
+const shareResultButton = document.getElementById("share-result-button");
+const shareText = document.getElementById("share-text");
+
+const loseScreen = document.querySelector(".lose-screen");
+const loseTitle = document.getElementById("lose-title");
+const losePairsDisplay = document.getElementById("lose-pairs-value");
+const loseTurnsDisplay = document.getElementById("lose-turns-value");
+const loseTimeContainer = document.getElementById("lose-time-container");
+const loseTimeDisplay = document.getElementById("lose-time-value");
+const retryLevelButton = document.getElementById("retry-level-button");
+const continueBonusButton = document.getElementById("continue-bonus-button");
+const loseMenuButton = document.getElementById("lose-menu-button");
 
 const finalScoreScreen = document.querySelector(".final-score-screen");
 const finalTurnsDisplay = document.getElementById("final-turns-value");
 const finalXpDisplay = document.getElementById("final-xp-value");
+const finalComboDisplay = document.getElementById("final-combo-value");
 // const mainMenuButton = document.getElementById('main-menu-button');
 const finalStarsContainer = document.getElementById("final-stars-container");
 const mainMenuButton = document.getElementById("main-menu-button");
 
 const turnsLabel = document.getElementById("turns-label");
 
+const packSelect = document.querySelector(".pack-select");
+const packPicker = document.getElementById("pack-picker");
+const levelSelect = document.querySelector(".level-select");
+const levelMap = document.querySelector(".level-map");
+
+const lastScoreDisplay = document.querySelector(".last-score-display");
+const lastScoreTurns = document.getElementById("last-score-turns");
+const lastScoreXp = document.getElementById("last-score-xp");
+const bestScoreTurns = document.getElementById("best-score-turns");
+const bestScoreXp = document.getElementById("best-score-xp");
+const lastGameGroup = document.getElementById("last-game-group");
+const bestGameGroup = document.getElementById("best-game-group");
+const reflexBestGroup = document.getElementById("reflex-best-group");
+const reflexBestMoves = document.getElementById("reflex-best-moves");
+
+const resumePrompt = document.querySelector(".resume-prompt");
+const resumePromptDetails = document.getElementById("resume-prompt-details");
+const resumeSavedGameButton = document.getElementById("resume-saved-game-button");
+const discardSavedGameButton = document.getElementById("discard-saved-game-button");
+
+const contentErrors = document.querySelector(".content-errors");
+const contentErrorsSummary = document.getElementById("content-errors-summary");
+const contentErrorList = document.querySelector(".content-error-list");
+const contentErrorsContinueButton = document.getElementById("content-errors-continue-button");
+const contentErrorsReloadButton = document.getElementById("content-errors-reload-button");
+
 // START: Added Peek Timer element
 const peekTimer = document.querySelector(".peek-timer");
 // END: Added Peek Timer element
 
-// --- Sound Elements ---
-const sounds = {
-  correct: document.getElementById("correct-sound"),
-  incorrect: document.getElementById("incorrect-sound"),
-  flip: document.getElementById("flip-sound"),
-  reflex: document.getElementById("reflex-sound"),
-  backgroundMusic: document.getElementById("background-music"),
-  levelComplete: document.getElementById("level-complete-sound"),
-  campaignComplete: document.getElementById("campaign-complete-sound"),
+// --- Sounds ---
+// Effects are decoded up front and played through the sound engine (see
+// sound-engine.js), as are audio cards' clips and the background music.
+const SOUND_FILES = {
+  correct: "correct.mp3",
+  incorrect: "incorrect.mp3",
+  flip: "flip.mp3",
+  reflex: "reflex-chime.mp3",
+  levelComplete: "level-complete.mp3",
+  campaignComplete: "campaign-complete.mp3",
+};
+// A sound file that fails is listed with the content warnings, once
+const soundEngine = new SoundEngine({
+  onProblem: (message, url) => showContentErrors([{ severity: "warning", path: url, message }]),
+});
+soundEngine.setMusic(document.getElementById("background-music"));
+soundEngine.load(SOUND_FILES);
+CardKinds.setClipPlayer((url) => soundEngine.playClip(url));
+
+// --- Sound Settings ---
+// Volumes run from 0 to 1. Effects are every sound but the music,
+// including the clips of audio cards; haptics is the buzz on a wrong match.
+const SOUND_DEFAULTS = {
+  musicVolume: 0.3,
+  effectsVolume: 1,
+  musicMuted: false,
+  effectsMuted: false,
+  haptics: true,
 };
+let musicWanted = false; // from startBackgroundMusic until stopBackgroundMusic
+
+function getSoundSettings() {
+  return { ...SOUND_DEFAULTS, ...progressStore.getSettings("sound") };
+}
+
+function getEffectsVolume() {
+  const { effectsVolume, effectsMuted } = getSoundSettings();
+  return effectsMuted ? 0 : effectsVolume;
+}
+
+function playSound(name) {
+  soundEngine.play(name);
+}
+
+function vibrate(duration) {
+  if (navigator.vibrate && getSoundSettings().haptics) navigator.vibrate(duration);
+}
+
+// Changes reach the music while it plays
+function applySoundSettings() {
+  const settings = getSoundSettings();
+  soundOptions.forEach((input) => {
+    const value = settings[input.dataset.sound];
+    if (input.type === "range") input.value = Math.round(value * 100);
+    else input.checked = value;
+  });
+  soundEngine.setEffectsVolume(getEffectsVolume());
+  soundEngine.setMusicVolume(settings.musicVolume);
+  if (musicWanted && !settings.musicMuted) soundEngine.startMusic();
+  else soundEngine.pauseMusic();
+}
+
+function setSoundOption(name, value) {
+  progressStore.saveSettings("sound", { [name]: value });
+  applySoundSettings();
+}
 
-// Function to handle background music
 function startBackgroundMusic() {
-  if (sounds.backgroundMusic) {
-    sounds.backgroundMusic.volume = 0.3; // Set volume to 30%
-    sounds.backgroundMusic.play().catch((e) => {});
-  }
+  musicWanted = true;
+  applySoundSettings();
 }
 
 function stopBackgroundMusic() {
-  if (sounds.backgroundMusic) {
-    sounds.backgroundMusic.pause();
-    sounds.backgroundMusic.currentTime = 0;
-  }
+  musicWanted = false;
+  soundEngine.stopMusic();
 }
 
 // --- Game Content ---
 let gameContent = null;
+// Key of the subject/pack under gameContent.content that is being played
+let currentPackKey = null;
 
 // Load game content from JSON file
 async function loadGameContent() {
@@ -81,290 +238,813 @@ async function loadGameContent() {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     gameContent = await response.json();
-    // Enable start button once content is loaded
-    startCampaignButton.disabled = false;
+    if (!gameContent || typeof gameContent.content !== "object") {
+      throw new Error('Missing the "content" object that holds the subjects.');
+    }
   } catch (error) {
     console.error("Error loading game content:", error);
-    alert("Error loading game content. Please refresh the page.");
+    gameContent = null;
+    showContentErrors(
+      [{ severity: "error", path: "gameContent.json", message: error.message }],
+      false
+    );
+    return;
   }
+
+  const savedPack = progressStore.data.lastPack;
+  currentPackKey = gameContent.content[savedPack]
+    ? savedPack
+    : Object.keys(gameContent.content)[0];
+  // Enable the buttons that need content once it is loaded
+  contentButtons.forEach((button) => (button.disabled = false));
+  renderPackSelect();
+  renderStartScreenProgress();
+
+  const issues = [
+    ...ContentValidator.validateContent(gameContent),
+    ...(await ContentValidator.checkAssets(gameContent, assetExists)),
+  ];
+  issues.forEach((issue) =>
+    console.warn(`[Content] ${issue.severity}: ${issue.path} - ${issue.message}`)
+  );
+  if (issues.length > 0) showContentErrors(issues, true);
+  showResumePrompt();
+}
+
+async function assetExists(url) {
+  const response = await fetch(url, { method: "HEAD" });
+  return response.ok;
+}
+
+// --- Content Error Panel ---
+// Errors cover the screen until the player continues; warnings alone
+// show as a notice in the corner that play goes on around. Issues found
+// later (a sound file that fails to load) are added to the list.
+let contentIssues = [];
+let canContinuePastIssues = true;
+
+function showContentErrors(issues, canContinue = canContinuePastIssues) {
+  contentIssues = contentIssues.concat(issues);
+  canContinuePastIssues = canContinue;
+  const errorCount = contentIssues.filter((issue) => issue.severity === "error").length;
+  const warningCount = contentIssues.length - errorCount;
+  const isNotice = errorCount === 0;
+  contentErrorsSummary.textContent =
+    `${errorCount} error${errorCount === 1 ? "" : "s"}, ` +
+    `${warningCount} warning${warningCount === 1 ? "" : "s"} found in the game content`;
+
+  contentErrorList.innerHTML = "";
+  contentIssues.forEach((issue) => {
+    const item = document.createElement("li");
+    item.classList.add("content-error", issue.severity);
+    const path = document.createElement("span");
+    path.classList.add("content-error-path");
+    path.textContent = issue.path;
+    item.append(path, ` ${issue.message}`);
+    contentErrorList.appendChild(item);
+  });
+
+  contentErrorsContinueButton.textContent = isNotice ? "Dismiss" : "Continue Anyway";
+  contentErrorsContinueButton.classList.toggle("hidden", !canContinue);
+  contentErrorsReloadButton.classList.toggle("hidden", isNotice);
+  contentErrors.classList.toggle("notice", isNotice);
+  contentErrors.classList.remove("hidden");
+}
+
+function hideContentErrors() {
+  contentErrors.classList.add("hidden");
 }
 
 // --- Game State ---
-let gameState = {};
+// The engine owns the board rules; it is exposed on window so
+// analytics-integration.js can read its state. Timed effects of a game
+// go through gameClock so pausing the engine freezes them as well.
+const gameClock = new GameClock();
+const engine = new GameEngine({ clock: gameClock });
+window.gameEngine = engine;
 let totalCampaignTurns = 0;
 let totalCampaignXP = 0;
+let bestCampaignCombo = 0;
+// A level's bonus time can be taken once per attempt
+let bonusTimeUsed = false;
+// A cleared level played again from the map: its result still counts,
+// but the saved campaign run is left alone and play stops after it
+let isLevelReplay = false;
+
+// --- Content Packs ---
+function getPack() {
+  return gameContent.content[currentPackKey];
+}
 
-function resetGameState() {
-  clearAllTimers();
-  gameState = {
-    gameMode: null,
-    currentCampaignLevel: 1,
-    flippedCards: [],
-    lockBoard: false,
-    turns: 0,
-    timeRemaining: 0,
-    timerId: null,
-    matchedPairs: 0,
-    totalPairs: 8,
-    isReflexActive: false,
-    reflexCard: null,
-    reflexTimeoutId: null,
-    isPaused: false,
-  };
+function renderPackSelect() {
+  const packKeys = Object.keys(gameContent.content);
+  packPicker.innerHTML = "";
+  packKeys.forEach((key) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = gameContent.content[key].title || key;
+    packPicker.appendChild(option);
+  });
+  packPicker.value = currentPackKey;
+  packSelect.classList.toggle("hidden", packKeys.length < 2);
+}
+
+function selectPack(key) {
+  if (!gameContent.content[key]) return;
+  currentPackKey = key;
+  progressStore.setLastPack(key);
+  renderStartScreenProgress();
 }
 
 // --- Scoring and Feedback ---
-function calculateXP(level, turns) {
-  switch (level) {
-    case 1:
-    //   if (turns === 8) return 40;
-      if (turns <= 12) return 40;
-      if (turns <= 16) return 35;
-      return 30;
-    case 2:
-      if (turns <= 14) return 60;
-      if (turns <= 18) return 50;
-      return 40;
-    case 3:
-      if (turns <= 16) return 100;
-      if (turns <= 20) return 80;
-      return 60;
-    default:
-      return 0;
-  }
+// Per-level rules come from the "scoring" block in gameContent.json,
+// see scoring.js for the defaults used when a level has none.
+function getLevelData(level) {
+  return getPack()[`level${level}`];
+}
+
+// Level numbers present in the content, in play order.
+function getCampaignLevelNumbers() {
+  return Object.keys(getPack())
+    .map((key) => /^level(\d+)$/.exec(key))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+function getCampaignLevels() {
+  return getCampaignLevelNumbers().map(getLevelData);
+}
+
+function getNextLevel(level) {
+  const levels = getCampaignLevelNumbers();
+  const next = levels[levels.indexOf(level) + 1];
+  return next === undefined ? null : next;
+}
+
+function calculateXP(level, turns, play = engine.state) {
+  const levelData = getLevelData(level);
+  if (!levelData) return 0;
+  return Scoring.calculateXP(Scoring.getLevelRules(levelData), turns, play);
+}
+function calculateComboBonus(level, bestCombo = engine.state.bestCombo) {
+  const levelData = getLevelData(level);
+  if (!levelData) return 0;
+  return Scoring.calculateComboBonus(Scoring.getLevelRules(levelData), bestCombo);
+}
+function calculateHintCost(level, hintsUsed = engine.state.hintsUsed) {
+  const levelData = getLevelData(level);
+  if (!levelData) return 0;
+  return Scoring.calculateHintCost(Scoring.getLevelRules(levelData), hintsUsed);
 }
 function calculateCampaignStars(level, turns) {
-  const xp = calculateXP(level, turns);
-  if (level === 1) {
-    if (xp === 40) return 3;
-    if (xp === 35) return 2;
-    return 1;
-  }
-  if (level === 2) {
-    if (xp === 60) return 3;
-    if (xp === 50) return 2;
-    return 1;
-  }
-  if (level === 3) {
-    if (xp === 100) return 3;
-    if (xp === 80) return 2;
-    return 1;
-  }
-  return 0;
+  const levelData = getLevelData(level);
+  if (!levelData) return 0;
+  return Scoring.calculateStars(Scoring.getLevelRules(levelData), turns);
 }
-function calculateReflexStars(moves) {
-  if (moves === 8) return 3;
-  if (moves <= 12) return 2;
-  return 1;
+function calculateReflexStars(
+  moves,
+  pairCount = engine.state.totalPairs,
+  averageReaction = engine.getReflexStats().averageReaction
+) {
+  const thresholds = (getPack().reflex || {}).reactionThresholds;
+  return Scoring.calculateReflexStars(
+    { moves, pairCount, averageReaction },
+    thresholds
+  );
 }
 
-// --- Core Game Logic ---
-function shuffle(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+// --- Campaign Progress ---
+// Saved per pack in localStorage (see progress-store.js). A level unlocks
+// once the one before it has been cleared; the first level is always open.
+const progressStore = new ProgressStore(getLocalStorage());
+
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null; // Blocked in some sandboxed WebViews
   }
-  return array;
 }
 
-// --- Board Creation with Multiple Content Types Support ---
-function createBoard(pairs) {
-  cardGrid.innerHTML = "";
-  const cardArray = [];
-
-  pairs.forEach((pair) => {
-    if (pair.a !== undefined) {
-      // Text to Text mode
-      if (pair.b !== undefined) {
-        cardArray.push({ value: pair.a, match: pair.b, type: "text" });
-        cardArray.push({ value: pair.b, match: pair.a, type: "text" });
-      }
-      // Text to Image mode
-      else if (pair.image !== undefined) {
-        cardArray.push({ value: pair.a, match: pair.image, type: "text" });
-        cardArray.push({
-          value: pair.image,
-          match: pair.a,
-          type: "image",
-          alt: pair.imageAlt,
-        });
-      }
-    }
-    // Image to Image mode
-    else if (pair.firstImage !== undefined) {
-      cardArray.push({
-        value: pair.firstImage,
-        match: pair.secondImage,
-        type: "image",
-        alt: pair.firstImageAlt,
-      });
-      cardArray.push({
-        value: pair.secondImage,
-        match: pair.firstImage,
-        type: "image",
-        alt: pair.secondImageAlt,
-      });
-    }
-  });
+function getLevelStars(level) {
+  const result = progressStore.getLevel(currentPackKey, level);
+  return result ? result.stars : 0;
+}
 
-  shuffle(cardArray).forEach((item) => {
-    const card = document.createElement("div");
-    card.classList.add("card");
-    card.dataset.value = item.value;
-    card.dataset.match = item.match;
+function isLevelUnlocked(level) {
+  const levels = getCampaignLevelNumbers();
+  const index = levels.indexOf(level);
+  return index === 0 || getLevelStars(levels[index - 1]) > 0;
+}
 
-    const frontFaceContent =
-      item.type === "image"
-        ? `<img src="${item.value}" alt="${item.alt || ""}" />`
-        : item.value;
+function renderStartScreenProgress() {
+  renderLevelSelect();
+  renderContinueButton();
+  renderDailyButton();
+  renderScoreSummary();
+}
 
-    card.innerHTML = `
-            <div class="front-face">${frontFaceContent}</div>
-            <div class="back-face"></div>
-        `;
+// Offer to pick a campaign back up at the level it was left on
+function renderContinueButton() {
+  const run = progressStore.getPack(currentPackKey).run;
+  const canContinue = Boolean(run && getLevelData(run.level));
+  continueCampaignButton.classList.toggle("hidden", !canContinue);
+  if (canContinue) {
+    continueCampaignButton.textContent = `Continue (Level ${run.level})`;
+  }
+}
 
-    card.addEventListener("click", flipCard);
-    cardGrid.appendChild(card);
+function continueCampaign() {
+  const run = progressStore.getPack(currentPackKey).run;
+  if (!run) return;
+  totalCampaignTurns = run.turns;
+  totalCampaignXP = run.xp;
+  bestCampaignCombo = run.bestCombo || 0;
+  isLevelReplay = false;
+  startGame(run.level);
+}
+
+// --- Saved Board ---
+// The board being played is saved whenever something on it changes and
+// when it is paused or the tab is hidden, so a reload or a closed tab can
+// pick it up again where it was left. Timer ticks alone don't save it.
+const BOARD_SAVE_EVENTS = new Set([
+  "start",
+  "flip",
+  "match",
+  "mismatch",
+  "unflip",
+  "hint",
+  "player",
+  "reflexChallenge",
+  "reflexTimeout",
+]);
+
+function saveBoard() {
+  // A race cannot be picked up again once its connection is gone
+  if (engine.state.status !== "playing" || isReplaying() || engine.state.mode === "race") return;
+  progressStore.saveBoard(currentPackKey, engine.serialize(), {
+    turns: totalCampaignTurns,
+    xp: totalCampaignXP,
+    bestCombo: bestCampaignCombo,
+    daily: dailyRun,
+    study: studyRun,
+    mistakes: levelMistakes,
+    bonusTimeUsed,
+    levelReplay: isLevelReplay,
   });
 }
 
-function flipCard() {
-  if (
-    (gameState.lockBoard && !gameState.isReflexActive) ||
-    this.classList.contains("flipped") ||
-    gameState.isPaused
-  )
-    return;
-  if (gameState.isReflexActive) {
-    handleReflexResponse(this);
+function getSavedBoard() {
+  const board = progressStore.data.board;
+  if (!board || !gameContent || !gameContent.content[board.pack]) return null;
+  return board;
+}
+
+function showResumePrompt() {
+  const board = getSavedBoard();
+  if (!board) return;
+  const { mode, level, matchedPairs, cards } = board.snapshot;
+  const where = {
+    reflex: "Reflex Mode",
+    daily: "Daily Challenge",
+    hotseat: "Pass & Play",
+    study: "Study",
+    campaign: `Level ${level}`,
+  }[mode];
+  resumePromptDetails.textContent =
+    `${where}: ${matchedPairs} of ${cards.length / 2} pairs found.`;
+  resumePrompt.classList.remove("hidden");
+}
+
+function discardSavedGame() {
+  progressStore.clearBoard();
+  resumePrompt.classList.add("hidden");
+}
+
+function resumeSavedGame() {
+  const board = getSavedBoard();
+  resumePrompt.classList.add("hidden");
+  if (!board) return;
+  const { snapshot } = board;
+  selectPack(board.pack);
+  packPicker.value = board.pack;
+  totalCampaignTurns = board.totals.turns;
+  totalCampaignXP = board.totals.xp;
+  bestCampaignCombo = board.totals.bestCombo || 0;
+  startBackgroundMusic();
+  dailyRun = board.totals.daily || null;
+  studyRun = board.totals.study || null;
+  levelMistakes = board.totals.mistakes || {};
+  bonusTimeUsed = board.totals.bonusTimeUsed || false;
+  isLevelReplay = board.totals.levelReplay || false;
+  if (snapshot.mode === "reflex") {
+    showGameScreen("REFLEX MODE", "MOVES", false);
+  } else if (snapshot.mode === "daily") {
+    showGameScreen(`DAILY ${dailyRun.date}`, "TURNS", false);
+  } else if (snapshot.mode === "hotseat") {
+    showGameScreen("PASS & PLAY", "SCORES", false);
+  } else if (snapshot.mode === "study") {
+    showGameScreen("STUDY", "TURNS", false);
   } else {
-    handleNormalFlip(this);
+    showGameScreen(`LEVEL ${snapshot.level}`, "TURNS", snapshot.timeLimit > 0);
   }
+  engine.restore(snapshot);
+  turnsDisplay.textContent = snapshot.turns;
+  updateMisses();
+  updateCombo();
+  updatePlayers();
+  if (snapshot.timeLimit) updateTimer(snapshot.timeRemaining);
+  engine.start();
 }
 
-function handleNormalFlip(card) {
-  if (sounds.flip) {
-    sounds.flip.play().catch((e) => {});
+function renderScoreSummary() {
+  const { lastGame, bestGame, reflexBestMoves: reflexBest } = progressStore.getPack(currentPackKey);
+  lastScoreDisplay.classList.toggle("hidden", !lastGame && reflexBest === null);
+  lastGameGroup.classList.toggle("hidden", !lastGame);
+  bestGameGroup.classList.toggle("hidden", !bestGame);
+  reflexBestGroup.classList.toggle("hidden", reflexBest === null);
+  if (lastGame) {
+    lastScoreTurns.textContent = lastGame.turns;
+    lastScoreXp.textContent = lastGame.xp;
   }
-  card.classList.add("flipped");
-  gameState.flippedCards.push(card);
-  if (gameState.flippedCards.length === 2) {
-    gameState.lockBoard = true;
-    updateTurns();
-    checkForMatch();
+  if (bestGame) {
+    bestScoreTurns.textContent = bestGame.turns;
+    bestScoreXp.textContent = bestGame.xp;
   }
+  reflexBestMoves.textContent = reflexBest;
 }
 
-function checkForMatch() {
-  const [first, second] = gameState.flippedCards;
-  first.dataset.value === second.dataset.match
-    ? handleCorrectMatch()
-    : handleIncorrectMatch();
+function renderLevelSelect() {
+  levelMap.innerHTML = "";
+  getCampaignLevelNumbers().forEach((level) => {
+    const unlocked = isLevelUnlocked(level);
+    const stars = getLevelStars(level);
+    const node = document.createElement("button");
+    node.classList.add("level-node");
+    node.classList.toggle("locked", !unlocked);
+    node.disabled = !unlocked;
+    node.setAttribute(
+      "aria-label",
+      unlocked ? `Level ${level}, ${stars} of 3 stars` : `Level ${level}, locked`
+    );
+
+    const number = document.createElement("span");
+    number.classList.add("level-number");
+    number.textContent = unlocked ? level : "🔒";
+    node.appendChild(number);
+
+    const badge = document.createElement("span");
+    badge.classList.add("level-stars");
+    for (let i = 0; i < 3; i++) {
+      const star = document.createElement("span");
+      star.classList.add("star");
+      star.classList.toggle("filled", i < stars);
+      star.textContent = "★";
+      badge.appendChild(star);
+    }
+    node.appendChild(badge);
+
+    node.addEventListener("click", () => (stars > 0 ? replayLevel(level) : startCampaign(level)));
+    levelMap.appendChild(node);
+  });
+  levelSelect.classList.remove("hidden");
 }
 
-function handleCorrectMatch() {
-  const [first, second] = gameState.flippedCards;
-  first.removeEventListener("click", flipCard);
-  second.removeEventListener("click", flipCard);
-  first.classList.add("correct");
-  second.classList.add("correct");
-  if (sounds.correct) {
-    sounds.correct.play().catch((e) => {});
+// --- Board Rendering ---
+// Card faces are drawn by the renderers registered in card-kinds.js.
+const DEFAULT_REFLEX_PAIR_COUNT = 8;
+const MAX_CARD_SIZE = 140; // px, keeps small boards from blowing up
+const BOARD_CHROME_HEIGHT = 240; // px taken by the header, peek timer, hint bar and padding
+const GRID_GAP = 5; // px, matches grid-gap on .card-grid
+
+// Pick the column count that gives the largest cards for the current
+// screen, so 6 cards and 36 cards both fit on a phone or a tablet.
+function layoutBoard(cardCount) {
+  if (cardCount === 0) return;
+  const availableWidth = Math.min(window.innerWidth * 0.9, 900) - 30;
+  const availableHeight = Math.max(window.innerHeight - BOARD_CHROME_HEIGHT, 200);
+  let best = { columns: 4, size: 0 };
+  for (let columns = 2; columns <= cardCount; columns++) {
+    const rows = Math.ceil(cardCount / columns);
+    const size = Math.min(
+      (availableWidth - GRID_GAP * (columns - 1)) / columns,
+      (availableHeight - GRID_GAP * (rows - 1)) / rows
+    );
+    if (size > best.size) best = { columns, size };
   }
-  gameState.matchedPairs++;
-  resetTurnState();
-  if (gameState.matchedPairs === gameState.totalPairs) {
-    if (gameState.gameMode === "campaign") handleCampaignWin();
-    if (gameState.gameMode === "reflex") handleReflexModeEnd();
-  } else if (gameState.gameMode === "reflex") {
-    setTimeout(triggerNextReflexChallenge, 500);
+  const cardSize = Math.min(best.size, MAX_CARD_SIZE);
+  const boardWidth = Math.floor(
+    cardSize * best.columns + GRID_GAP * (best.columns - 1)
+  );
+  cardGrid.style.setProperty("--columns", best.columns);
+  cardGrid.style.setProperty("--board-width", `${boardWidth}px`);
+  gameContainer.style.setProperty(
+    "--container-width",
+    `${Math.max(450, boardWidth + 30)}px`
+  );
+}
+function createBoard(cards) {
+  cardGrid.innerHTML = "";
+
+  cards.forEach((item, index) => {
+    const card = document.createElement("div");
+    card.classList.add("card");
+    card.dataset.id = item.id;
+    card.dataset.position = index + 1;
+    card.setAttribute("role", "button");
+    card.tabIndex = index === 0 ? 0 : -1; // Arrow keys move between cards
+
+    const frontFace = document.createElement("div");
+    frontFace.classList.add("front-face");
+    CardKinds.render(frontFace, item);
+    const backFace = document.createElement("div");
+    backFace.classList.add("back-face");
+    card.append(frontFace, backFace);
+
+    // Restored boards already have some pairs found
+    if (item.matched) {
+      card.classList.add("flipped", "correct");
+    } else {
+      card.addEventListener("click", flipCard);
+    }
+    cardGrid.appendChild(card);
+    labelCard(card);
+  });
+
+  layoutBoard(cards.length);
+  if (cards.length && !isReplaying()) cardGrid.firstChild.focus({ preventScroll: true });
+}
+
+// --- Keyboard & Screen Reader Support ---
+// Cards are buttons: only one of them is in the tab order, the arrow keys
+// move between them and Enter or Space turns one over. Their labels follow
+// what is showing, and what happens on the board is read out through a
+// live region.
+const TIMER_WARNING_SECONDS = [30, 10, 5];
+const ANNOUNCE_DELAY = 50; // ms between clearing the live region and filling it
+
+// What a face-up card shows, in words
+function describeCard(card) {
+  if (card.kind === "text") return card.value;
+  return card.alt || `${card.kind} card`;
+}
+
+function labelCard(element) {
+  const card = engine.getCard(Number(element.dataset.id));
+  if (!card) return;
+  const position = `Card ${element.dataset.position}`;
+  const matched = element.classList.contains("correct");
+  let label = `${position}, face down`;
+  if (matched) label = `${position}, ${describeCard(card)}, matched`;
+  else if (element.classList.contains("flipped")) label = `${position}, ${describeCard(card)}`;
+  element.setAttribute("aria-label", label);
+  element.setAttribute("aria-disabled", String(matched));
+}
+
+function focusCard(element) {
+  cardGrid.querySelectorAll(".card").forEach((card) => (card.tabIndex = -1));
+  element.tabIndex = 0;
+  element.focus();
+}
+
+function handleCardKeys(event) {
+  const cards = [...cardGrid.querySelectorAll(".card")];
+  const index = cards.indexOf(document.activeElement);
+  if (index === -1) return;
+  const columns = Number(cardGrid.style.getPropertyValue("--columns")) || 4;
+  const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns }[event.key];
+  if (step !== undefined) {
+    event.preventDefault();
+    if (cards[index + step]) focusCard(cards[index + step]);
+  } else if (event.key === "Enter" || event.key === " ") {
+    event.preventDefault(); // Space would scroll the page
+    cards[index].click();
   }
 }
 
-// Find this function in your script.js
-function handleIncorrectMatch() {
-  const [first, second] = gameState.flippedCards;
-  // Only play sound if the audio element exists
-  if (sounds.incorrect) {
-    sounds.incorrect.play().catch((e) => {});
+// Clearing the region first gets a repeated message ("No match") read again
+function announce(message) {
+  boardAnnouncer.textContent = "";
+  setTimeout(() => (boardAnnouncer.textContent = message), ANNOUNCE_DELAY);
+}
+
+function announceMatch({ cards }) {
+  const { matchedPairs, totalPairs } = engine.state;
+  const [first, second] = cards.map(describeCard);
+  announce(`Match: ${first} and ${second}. ${matchedPairs} of ${totalPairs} pairs found.`);
+}
+
+function announceMismatch({ cards }) {
+  const [first, second] = cards.map(describeCard);
+  announce(`No match: ${first} and ${second}.`);
+}
+
+function announceTimeWarning(timeRemaining) {
+  if (TIMER_WARNING_SECONDS.includes(timeRemaining)) announce(`${timeRemaining} seconds left.`);
+}
+
+function getCardElement(card) {
+  return cardGrid.querySelector(`.card[data-id="${card.id}"]`);
+}
+
+function flipCard() {
+  if (isReplaying()) return; // The replay makes the moves
+  const cardId = Number(this.dataset.id);
+  if (engine.flip(cardId)) return;
+  // Tapping a card that is already face up replays it (audio cards)
+  const card = engine.getCard(cardId);
+  if (card && card.faceUp && !engine.state.isPaused) CardKinds.reveal(card);
+}
+
+// --- Display Settings ---
+// Motion, contrast and colour choices, applied as classes on <body> (see
+// style.css). Reduce motion follows the system's prefers-reduced-motion
+// until the player sets it, and takes confetti and shaking with it.
+const DISPLAY_DEFAULTS = {
+  reduceMotion: null, // null follows the system
+  confetti: true,
+  shake: true,
+  highContrast: false,
+  colourBlindSafe: false,
+};
+const DISPLAY_CLASSES = {
+  reduceMotion: "reduce-motion",
+  highContrast: "high-contrast",
+  colourBlindSafe: "colour-blind-safe",
+};
+const MOTION_EFFECTS = ["confetti", "shake"];
+const reducedMotionQuery = window.matchMedia
+  ? window.matchMedia("(prefers-reduced-motion: reduce)")
+  : null;
+
+function getDisplaySettings() {
+  const settings = { ...DISPLAY_DEFAULTS, ...progressStore.getSettings("display") };
+  if (settings.reduceMotion === null) {
+    settings.reduceMotion = Boolean(reducedMotionQuery && reducedMotionQuery.matches);
   }
-  if (navigator.vibrate) navigator.vibrate(200);
+  return settings;
+}
 
-  // --- MODIFY THE NEXT TWO SECTIONS ---
+function isEffectOn(effect) {
+  const settings = getDisplaySettings();
+  return settings[effect] && !settings.reduceMotion;
+}
+
+function applyDisplaySettings() {
+  const settings = getDisplaySettings();
+  Object.keys(DISPLAY_CLASSES).forEach((name) =>
+    document.body.classList.toggle(DISPLAY_CLASSES[name], settings[name])
+  );
+  displayOptions.forEach((input) => {
+    const name = input.dataset.display;
+    input.checked = settings[name];
+    input.disabled = MOTION_EFFECTS.includes(name) && settings.reduceMotion;
+  });
+}
+
+function setDisplayOption(name, value) {
+  progressStore.saveSettings("display", { [name]: value });
+  applyDisplaySettings();
+}
+
+function celebrate(options) {
+  if (typeof confetti === "function" && isEffectOn("confetti")) confetti(options);
+}
 
-  // 1. ADD the 'incorrect' class along with 'shake'
-  setTimeout(() => {
-    first.classList.add("shake", "incorrect");
-    second.classList.add("shake", "incorrect");
+// --- Settings Panel ---
+// Sound and display choices, from the start screen or the pause menu
+function showSettings() {
+  applySoundSettings();
+  applyDisplaySettings();
+  settingsPrompt.classList.remove("hidden");
+}
+
+function hideSettings() {
+  settingsPrompt.classList.add("hidden");
+}
+
+// --- Engine Event Handlers ---
+// Listeners call the handlers by name so the wrappers installed by
+// analytics-integration.js are picked up.
+function handleCardFlip(card) {
+  playSound("flip");
+  const element = getCardElement(card);
+  element.classList.add("flipped");
+  labelCard(element);
+  CardKinds.reveal(card);
+}
+
+function handleCorrectMatch(match) {
+  match.cards.forEach((card) => {
+    const element = getCardElement(card);
+    element.removeEventListener("click", flipCard);
+    element.classList.remove("reflex-active");
+    element.classList.add("correct");
+    labelCard(element);
+  });
+  playSound("correct");
+  updateCombo();
+  if (match.combo % getComboMilestone() === 0) celebrateCombo();
+}
+
+function handleIncorrectMatch(mismatch) {
+  const [first, second] = mismatch.cards.map(getCardElement);
+  playSound("incorrect");
+  vibrate(200);
+  recordStudyMistake(mismatch);
+  recordLevelMistake(mismatch);
+  updateMisses();
+  updateCombo();
+
+  // Shake shortly after the second card lands; the engine turns
+  // the pair back over and we clear the classes on "unflip".
+  gameClock.setTimeout(() => {
+    const shake = isEffectOn("shake");
+    [first, second].forEach((element) => {
+      element.classList.add("incorrect");
+      element.classList.toggle("shake", shake);
+    });
   }, 200);
+}
 
-  // 2. REMOVE the 'incorrect' class when the cards flip back
-  setTimeout(() => {
-    first.classList.remove("flipped", "shake", "incorrect");
-    second.classList.remove("flipped", "shake", "incorrect");
-    resetTurnState();
-    if (gameState.gameMode === "reflex") {
-      setTimeout(triggerNextReflexChallenge, 500);
-    }
-  }, 1200);
+function handleUnflip({ cards }) {
+  cards.forEach((card) => {
+    const element = getCardElement(card);
+    element.classList.remove("flipped", "shake", "incorrect", "reflex-active");
+    labelCard(element);
+  });
 }
 
-function resetTurnState() {
-  if (gameState.reflexCard)
-    gameState.reflexCard.classList.remove("reflex-active");
-  gameState.flippedCards = [];
-  gameState.lockBoard = false;
-  gameState.isReflexActive = false;
-  gameState.reflexCard = null;
+function updateTurns(turns) {
+  if (isHotSeat()) return; // The header shows scores instead
+  turnsDisplay.textContent = turns;
 }
 
-// --- Specific Game Mode Logic ---
-function updateTurns() {
-  gameState.turns++;
-  turnsDisplay.textContent = gameState.turns;
+function updateTimer(timeRemaining) {
+  timerDisplay.textContent = timeRemaining;
 }
 
-function triggerNextReflexChallenge() {
-  if (
-    gameState.matchedPairs === gameState.totalPairs ||
-    gameState.isReflexActive
-  )
+// --- Combo Meter ---
+// Matches in a row. Every few of them (the level's comboBonus.every)
+// earn bonus XP, and the meter celebrates when one is reached.
+const REFLEX_COMBO_MILESTONE = 3;
+
+function getComboMilestone() {
+  const levelData = getLevelData(engine.state.level);
+  // A replayed level may come from a pack that is not loaded
+  if (engine.state.mode !== "campaign" || !levelData) return REFLEX_COMBO_MILESTONE;
+  return Scoring.getLevelRules(levelData).comboBonus.every;
+}
+
+function updateCombo() {
+  comboContainer.classList.toggle("hidden", !engine.state.mode);
+  comboDisplay.textContent = `x${engine.state.combo}`;
+}
+
+function celebrateCombo() {
+  comboContainer.classList.add("milestone");
+  gameClock.setTimeout(() => comboContainer.classList.remove("milestone"), 800);
+  celebrate({ particleCount: 40, spread: 50, origin: { y: 0.15 } });
+}
+
+// --- Hints ---
+// Limits and XP costs come from the level's scoring rules (see scoring.js).
+const HINT_LABELS = {
+  reveal: "💡 Reveal",
+  peek: "👀 Peek",
+  freeze: "❄️ Freeze",
+};
+
+function getHintLimits(levelData) {
+  const hints = Scoring.getLevelRules(levelData).hints;
+  const limits = {};
+  Object.keys(hints).forEach((type) => {
+    limits[type] = hints[type].limit;
+  });
+  return limits;
+}
+
+function updateHintBar() {
+  const { mode, level, timeLimit, hintLimits, hintsUsed } = engine.state;
+  const showHints = mode === "campaign" && !isReplaying();
+  hintBar.classList.toggle("hidden", !showHints);
+  if (!showHints) return;
+  const hints = Scoring.getLevelRules(getLevelData(level)).hints;
+  hintButtons.forEach((button) => {
+    const type = button.dataset.hint;
+    const limit = hintLimits[type] || 0;
+    const left = limit - hintsUsed[type];
+    button.classList.toggle("hidden", !limit || (type === "freeze" && !timeLimit));
+    button.textContent = `${HINT_LABELS[type]} (${left})`;
+    button.title = `${left} left, costs ${hints[type].xpCost} XP`;
+    button.disabled = !engine.canUseHint(type);
+  });
+}
+
+function useHint(type) {
+  engine.useHint(type);
+}
+
+function handleHint({ type, cards, duration }) {
+  if (type === "freeze") {
+    timerContainer.classList.add("frozen");
+    gameClock.setTimeout(() => timerContainer.classList.remove("frozen"), duration);
     return;
-  const unmatchedCards = Array.from(
-    document.querySelectorAll(".card:not(.correct)")
-  );
-  if (unmatchedCards.length < 2) return;
-  gameState.isReflexActive = true;
-  gameState.lockBoard = true;
-  sounds.reflex.play().catch((e) => {});
-  gameState.reflexCard =
-    unmatchedCards[Math.floor(Math.random() * unmatchedCards.length)];
-  gameState.reflexCard.classList.add("flipped", "reflex-active");
-  gameState.reflexTimeoutId = setTimeout(handleReflexTimeout, 4000);
-}
-
-function handleReflexResponse(playerCard) {
-  clearTimeout(gameState.reflexTimeoutId);
-  if (playerCard === gameState.reflexCard) return;
-  updateTurns(); // A player's response counts as a move
-  playerCard.classList.add("flipped");
-  gameState.flippedCards = [gameState.reflexCard, playerCard];
-  checkForMatch();
-}
-
-function handleReflexTimeout() {
-  if (!gameState.isReflexActive) return;
-  updateTurns(); // Timing out also counts as a move
-  sounds.incorrect.play().catch((e) => {});
-  gameState.reflexCard.classList.remove("flipped", "reflex-active");
-  resetTurnState();
-  setTimeout(triggerNextReflexChallenge, 500);
+  }
+  cards.forEach((card) => {
+    const element = getCardElement(card);
+    element.classList.add("flipped", "hint");
+    labelCard(element);
+  });
+  gameClock.setTimeout(() => {
+    cards.forEach((card) => {
+      const element = getCardElement(card);
+      element.classList.remove("hint");
+      // The player may have turned the card over meanwhile
+      if (!card.faceUp) element.classList.remove("flipped");
+      labelCard(element);
+    });
+  }, duration);
 }
 
+// Shown only on levels with a mismatch limit
+function updateMisses() {
+  const { mismatches, maxMismatches } = engine.state;
+  missesContainer.classList.toggle("hidden", !maxMismatches);
+  missesDisplay.textContent = `${mismatches}/${maxMismatches}`;
+}
+
+function handleReflexChallenge({ card }) {
+  playSound("reflex");
+  const element = getCardElement(card);
+  element.classList.add("flipped", "reflex-active");
+  labelCard(element);
+  announce(`Reflex! Find the match for ${describeCard(card)}.`);
+  CardKinds.reveal(card);
+}
+
+function handleReflexTimeout({ card }) {
+  playSound("incorrect");
+  const element = getCardElement(card);
+  element.classList.remove("flipped", "reflex-active");
+  labelCard(element);
+  announce("Too slow, the reflex card turned back over.");
+  updateCombo();
+}
+
+function handleGameWin({ mode }) {
+  if (mode === "campaign") handleCampaignWin();
+  if (mode === "reflex") handleReflexModeEnd();
+  if (mode === "daily") handleDailyChallengeEnd();
+  if (mode === "hotseat") handleHotSeatEnd();
+  if (mode === "race") handleRaceFinish();
+  if (mode === "study") handleStudyRoundEnd();
+}
+
+function handleGameLose(result) {
+  progressStore.clearBoard();
+  showLoseScreen(result);
+}
+
+engine.on("deal", ({ cards }) => createBoard(cards));
+engine.on("deal", ({ cards }) =>
+  soundEngine.preload(cards.filter((card) => card.kind === "audio").map((card) => card.value))
+);
+engine.on("flip", ({ card }) => handleCardFlip(card));
+engine.on("turn", ({ turns }) => updateTurns(turns));
+engine.on("match", (match) => handleCorrectMatch(match));
+engine.on("mismatch", (mismatch) => handleIncorrectMatch(mismatch));
+engine.on("unflip", (event) => handleUnflip(event));
+engine.on("reflexChallenge", (event) => handleReflexChallenge(event));
+engine.on("reflexTimeout", (event) => handleReflexTimeout(event));
+engine.on("tick", ({ timeRemaining }) => updateTimer(timeRemaining));
+engine.on("win", (result) => (isReplaying() ? handleReplayEnd(result) : handleGameWin(result)));
+engine.on("lose", (result) => (isReplaying() ? handleReplayEnd(result) : handleGameLose(result)));
+engine.on("hint", (hint) => handleHint(hint));
+engine.on("match", () => updatePlayers());
+engine.on("player", () => updatePlayers());
+engine.on("turn", () => sendRaceProgress());
+engine.on("match", () => sendRaceProgress());
+engine.on("match", () => recordDailyOutcome("🟩"));
+engine.on("mismatch", () => recordDailyOutcome("🟥"));
+engine.on("flip", ({ card }) => announce(describeCard(card)));
+engine.on("match", (match) => announceMatch(match));
+engine.on("mismatch", (mismatch) => announceMismatch(mismatch));
+engine.on("player", ({ player }) => announce(`Player ${player + 1}'s turn.`));
+engine.on("tick", ({ timeRemaining }) => announceTimeWarning(timeRemaining));
+engine.on("change", ({ type }) => {
+  if (BOARD_SAVE_EVENTS.has(type)) saveBoard();
+});
+engine.on("input", ({ type }) => {
+  if (type === "pause") saveBoard();
+});
+engine.on("change", () => updateHintBar());
+
 // --- Game Flow & Screen Management ---
 // START: Replaced peekAtStart with advanced version
 function peekAtStart(duration, callback) {
-    gameState.lockBoard = true;
     const cards = document.querySelectorAll(".card");
     const blocks = document.querySelectorAll('.timer-block');
     const flipOpenDelay = 100;
@@ -375,7 +1055,7 @@ function peekAtStart(duration, callback) {
     // Set initial state
     peekTimer.classList.remove('hidden');
 
-    const timerInterval = setInterval(() => {
+    const timerInterval = gameClock.setInterval(() => {
         // Find the correct block to hide.
         const blockToHide = blocks[timeLeft - 1];
         if (blockToHide) {
@@ -385,21 +1065,26 @@ function peekAtStart(duration, callback) {
         timeLeft--;
 
         if (timeLeft <= 0) {
-            clearInterval(timerInterval);
+            gameClock.clearInterval(timerInterval);
         }
     }, 1000);
 
     // Card flipping timeouts
-    setTimeout(() => {
-        cards.forEach((card) => card.classList.add("flipped"));
+    gameClock.setTimeout(() => {
+        cards.forEach((card) => {
+            card.classList.add("flipped");
+            labelCard(card);
+        });
     }, flipOpenDelay);
 
-    setTimeout(() => {
-        cards.forEach((card) => card.classList.remove("flipped"));
+    gameClock.setTimeout(() => {
+        cards.forEach((card) => {
+            card.classList.remove("flipped");
+            labelCard(card);
+        });
     }, duration + flipOpenDelay);
 
-    setTimeout(() => {
-        gameState.lockBoard = false;
+    gameClock.setTimeout(() => {
         peekTimer.classList.add('hidden');
         // Reset blocks for the next round
         blocks.forEach(block => block.classList.remove('inactive'));
@@ -420,93 +1105,165 @@ function createPeekTimerBlocks(seconds) {
 }
 // END: Replaced peekAtStart
 
+// Cancels every timed effect left over from the game being played
+function clearAllTimers() {
+  gameClock.clearAll();
+}
+
+// Shows the board screen with its header set for the mode being played.
+function showGameScreen(title, movesLabel, showTimer) {
+  clearAllTimers();
+  startScreen.classList.add("hidden");
+  winScreen.classList.add("hidden");
+  reviewScreen.classList.add("hidden");
+  showReplayMessage("");
+  gameContainer.classList.remove("hidden");
+  levelDisplay.textContent = title;
+  turnsDisplay.textContent = "0";
+  timerContainer.classList.toggle("hidden", !showTimer);
+  turnsLabel.textContent = movesLabel;
+}
+
+// Starts a fresh campaign run; totals count from `level` onwards.
+function startCampaign(level) {
+  totalCampaignTurns = 0;
+  totalCampaignXP = 0;
+  bestCampaignCombo = 0;
+  isLevelReplay = false;
+  startGame(level);
+}
+
+function replayLevel(level) {
+  totalCampaignTurns = 0;
+  totalCampaignXP = 0;
+  bestCampaignCombo = 0;
+  isLevelReplay = true;
+  startGame(level);
+}
+
 function startGame(level) {
   if (!gameContent) {
     alert("Game content not loaded. Please refresh the page.");
     return;
   }
-  if (level === 1) {
-    totalCampaignTurns = 0;
-    totalCampaignXP = 0;
-  }
-  resetGameState();
   startBackgroundMusic();
-  gameState.gameMode = "campaign";
-  gameState.currentCampaignLevel = level;
-  const levelData = gameContent.content.science[`level${level}`];
-  startScreen.classList.add("hidden");
-  winScreen.classList.add("hidden");
-  gameContainer.classList.remove("hidden");
-  levelDisplay.textContent = `LEVEL ${level}`;
-  turnsDisplay.textContent = "0";
-  timerContainer.classList.toggle("hidden", !levelData.timer);
-  turnsLabel.textContent = "TURNS";
-  createBoard(levelData.pairs);
+  const levelData = getLevelData(level);
+  // Saved before play so a reload mid-level continues from here
+  if (!isLevelReplay) {
+    progressStore.setRun(currentPackKey, {
+      level,
+      turns: totalCampaignTurns,
+      xp: totalCampaignXP,
+      bestCombo: bestCampaignCombo,
+    });
+  }
+  showGameScreen(`LEVEL ${level}`, "TURNS", Boolean(levelData.timer));
+  engine.setup({
+    mode: "campaign",
+    level,
+    pairs: levelData.pairs,
+    pairCount: levelData.pairCount,
+    timeLimit: levelData.timer,
+    maxMismatches: levelData.maxMismatches,
+    hintLimits: getHintLimits(levelData),
+  });
+  bonusTimeUsed = false;
+  levelMistakes = {};
+  updateMisses();
+  updateCombo();
 
   // START: Updated to use new peek timer logic
   const peekDurationSeconds = 5; 
   createPeekTimerBlocks(peekDurationSeconds); 
-  peekAtStart(peekDurationSeconds * 1000, () => { 
-      if (levelData.timer) startTimer(levelData.timer);
-  });
+  peekAtStart(peekDurationSeconds * 1000, () => engine.start());
   // END: Updated to use new peek timer logic
 }
 
 function startReflexMode() {
-  resetGameState();
-  gameState.gameMode = "reflex";
-  const allPairs = [
-    ...gameContent.content.science.level1.pairs,
-    ...gameContent.content.science.level2.pairs,
-    ...gameContent.content.science.level3.pairs,
-  ];
-  const reflexPairs = shuffle(allPairs).slice(0, 8);
-  startScreen.classList.add("hidden");
-  winScreen.classList.add("hidden");
-  gameContainer.classList.remove("hidden");
-  levelDisplay.textContent = "REFLEX MODE";
-  turnsDisplay.textContent = "0";
-  timerContainer.classList.add("hidden");
-  turnsLabel.textContent = "MOVES";
-  createBoard(reflexPairs);
+  const allPairs = getCampaignLevels().flatMap((levelData) => levelData.pairs);
+  const reflexSettings = getPack().reflex || {};
+  showGameScreen("REFLEX MODE", "MOVES", false);
+  engine.setup({
+    mode: "reflex",
+    pairs: allPairs,
+    pairCount: reflexSettings.pairCount || DEFAULT_REFLEX_PAIR_COUNT,
+  });
+  updateMisses();
+  updateCombo();
 
   // START: Updated to use new peek timer logic
   const peekDurationSeconds = 2;
   createPeekTimerBlocks(peekDurationSeconds);
-  peekAtStart(peekDurationSeconds * 1000, () => {
-      setTimeout(triggerNextReflexChallenge, 1000);
-  });
+  peekAtStart(peekDurationSeconds * 1000, () => engine.start());
   // END: Updated to use new peek timer logic
 }
 
+// Shows the win screen with only its stars and main stat; each mode then
+// reveals the extra rows it fills in.
+function showWinScreen() {
+  gameContainer.classList.add("hidden");
+  winScreen.classList.remove("hidden");
+  winStarsContainer.classList.remove("hidden");
+  [
+    winXpContainer,
+    winComboContainer,
+    winHintsContainer,
+    winScoreContainer,
+    winReactionContainer,
+    winTimeContainer,
+    shareResultButton,
+    shareText,
+  ].forEach((element) => element.classList.add("hidden"));
+}
+
 function handleCampaignWin() {
-  clearAllTimers();
-  const level = gameState.currentCampaignLevel;
+  engine.stop();
+  progressStore.clearBoard();
+  const { level, turns, bestCombo } = engine.state;
   console.log(`handleCampaignWin called for level: ${level}`);
-  const xp = calculateXP(level, gameState.turns);
-  const stars = calculateCampaignStars(level, gameState.turns);
-  totalCampaignTurns += gameState.turns;
+  const hintsUsed = Object.values(engine.state.hintsUsed).reduce((a, b) => a + b, 0);
+  const hintCost = calculateHintCost(level);
+  const comboBonus = calculateComboBonus(level, bestCombo);
+  const xp = calculateXP(level, turns);
+  const stars = calculateCampaignStars(level, turns);
+  const nextLevel = isLevelReplay ? null : getNextLevel(level);
+  const reviewItems = getReviewItems(level);
+  const mistakes = levelMistakes;
+  totalCampaignTurns += turns;
   totalCampaignXP += xp;
-  setTimeout(() => {
+  bestCampaignCombo = Math.max(bestCampaignCombo, bestCombo);
+  progressStore.recordLevel(currentPackKey, level, { stars, turns, xp });
+  if (nextLevel !== null) {
+    progressStore.setRun(currentPackKey, {
+      level: nextLevel,
+      turns: totalCampaignTurns,
+      xp: totalCampaignXP,
+      bestCombo: bestCampaignCombo,
+    });
+  } else if (!isLevelReplay) {
+    progressStore.recordGame(currentPackKey, {
+      turns: totalCampaignTurns,
+      xp: totalCampaignXP,
+    });
+  }
+  gameClock.setTimeout(() => {
     // START: Added confetti
-    if (typeof confetti === 'function') {
-        confetti({
-            particleCount: 150,
-            spread: 90,
-            origin: { y: 0.6 }
-        });
-    }
+    celebrate({ particleCount: 150, spread: 90, origin: { y: 0.6 } });
     // END: Added confetti
 
-    gameContainer.classList.add("hidden");
-    winScreen.classList.remove("hidden");
-    winStarsContainer.classList.remove("hidden");
+    showWinScreen();
     winXpContainer.classList.remove("hidden");
+    winHintsContainer.classList.toggle("hidden", hintsUsed === 0);
+    winHintsUsed.textContent = hintsUsed;
+    winHintsCost.textContent = hintCost;
+    winComboContainer.classList.remove("hidden");
+    winComboDisplay.textContent = bestCombo;
+    winComboBonus.textContent = comboBonus;
     console.log(`Playing sound for level: ${level}`);
     winTitle.textContent =
-      level < 3 ? `LEVEL ${level} COMPLETE!` : "GAME COMPLETE!";
+      nextLevel !== null || isLevelReplay ? `LEVEL ${level} COMPLETE!` : "GAME COMPLETE!";
     winStatsLabel.textContent = "TURNS";
-    winStatsValue.textContent = gameState.turns;
+    winStatsValue.textContent = turns;
     winXpDisplay.textContent = xp;
     const starElements = winStarsContainer.querySelectorAll(".star");
     starElements.forEach((star, index) =>
@@ -514,38 +1271,23 @@ function handleCampaignWin() {
     );
 
     // Play appropriate completion sound
-    if (level === 3) {
-      if (sounds.campaignComplete) {
-        sounds.campaignComplete.play().catch((e) => {});
-      }
-    } else {
-      if (sounds.levelComplete) {
-        sounds.levelComplete.play().catch((e) => {});
-      }
-    }
+    playSound(nextLevel === null && !isLevelReplay ? "campaignComplete" : "levelComplete");
 
-    if (level < 3) {
-      nextActionButton.textContent = "Next Level";
-      nextActionButton.onclick = () => startGame(level + 1);
-    } else {
-      nextActionButton.textContent = "See Final Score"; // Change button text
-      nextActionButton.onclick = showFinalScoreScreen; // Change button action
-    }
+    nextActionButton.textContent = "Review Level";
+    nextActionButton.onclick = () => showReviewScreen(reviewItems, mistakes, nextLevel);
   }, 800);
 }
 
 function calculateFinalStars(totalXP) {
-  if (totalXP >= 150) {
-    return 3; // 3 stars for scores 150 and above
-  } else if (totalXP >= 70) {
-    return 2; // 2 stars for scores between 70 and 149
-  } else {
-    return 1; // 1 star for scores below 70
-  }
+  const bands =
+    getPack().finalScoreBands ||
+    Scoring.defaultFinalScoreBands(getCampaignLevels());
+  return Scoring.calculateFinalStars(bands, totalXP);
 }
 
 function showFinalScoreScreen() {
-  winScreen.classList.add("hidden"); // Hide the level 3 win screen
+  winScreen.classList.add("hidden"); // Hide the last level's win screen
+  reviewScreen.classList.add("hidden");
 
   const stars = calculateFinalStars(totalCampaignXP);
   const starElements = finalStarsContainer.querySelectorAll(".star");
@@ -556,31 +1298,33 @@ function showFinalScoreScreen() {
   // Update the values on the final screen
   finalTurnsDisplay.textContent = totalCampaignTurns;
   finalXpDisplay.textContent = totalCampaignXP;
+  finalComboDisplay.textContent = bestCampaignCombo;
 
   finalScoreScreen.classList.remove("hidden"); // Show the final score screen
 }
 
 function handleReflexModeEnd() {
-  clearAllTimers();
-  const stars = calculateReflexStars(gameState.turns);
-  setTimeout(() => {
+  engine.stop();
+  progressStore.clearBoard();
+  const { turns } = engine.state;
+  const stats = engine.getReflexStats();
+  const stars = calculateReflexStars(turns);
+  progressStore.recordReflex(currentPackKey, turns);
+  gameClock.setTimeout(() => {
     // START: Added confetti
-    if (typeof confetti === 'function') {
-        confetti({
-            particleCount: 150,
-            spread: 90,
-            origin: { y: 0.6 }
-        });
-    }
+    celebrate({ particleCount: 150, spread: 90, origin: { y: 0.6 } });
     // END: Added confetti
     
-    gameContainer.classList.add("hidden");
-    winScreen.classList.remove("hidden");
+    showWinScreen();
     winTitle.textContent = "REFLEX COMPLETE!";
     winStatsLabel.textContent = "TOTAL MOVES";
-    winStatsValue.textContent = gameState.turns;
-    winXpContainer.classList.add("hidden");
-    winStarsContainer.classList.remove("hidden");
+    winStatsValue.textContent = turns;
+    winReactionContainer.classList.toggle("hidden", stats.averageReaction === null);
+    winReactionAverage.textContent = formatSeconds(stats.averageReaction);
+    winReactionBest.textContent = formatSeconds(stats.bestReaction);
+    winScoreContainer.classList.remove("hidden");
+    winScoreDisplay.textContent = stats.score;
+    winBestCombo.textContent = stats.bestCombo;
     const starElements = winStarsContainer.querySelectorAll(".star");
     starElements.forEach((star, index) =>
       star.classList.toggle("filled", index < stars)
@@ -590,58 +1334,787 @@ function handleReflexModeEnd() {
   }, 500);
 }
 
-function startTimer(duration) {
-  timerContainer.classList.remove("hidden");
-  gameState.timeRemaining = duration;
-  timerDisplay.textContent = duration;
-  gameState.timerId = setInterval(() => {
-    if (gameState.isPaused) return;
-    gameState.timeRemaining--;
-    timerDisplay.textContent = gameState.timeRemaining;
-    if (gameState.timeRemaining <= 0) {
-      clearAllTimers();
-      alert("Time's Up! Try again.");
-      showStartScreen();
+// --- Daily Challenge ---
+// One board a day per pack, dealt from a seed made of the date and the
+// pack so everyone playing that day gets the same cards. Only the first
+// attempt counts; it is recorded as soon as it starts.
+const DEFAULT_DAILY_PAIR_COUNT = 8;
+// { date, outcomes } while a daily challenge is being played
+let dailyRun = null;
+
+// Local date as YYYY-MM-DD
+function getTodayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function renderDailyButton() {
+  const attempt = progressStore.getDaily(currentPackKey, getTodayKey());
+  startDailyButton.textContent = attempt ? "Daily Challenge ✓" : "Daily Challenge";
+}
+
+function startDailyChallenge() {
+  const date = getTodayKey();
+  const attempt = progressStore.getDaily(currentPackKey, date);
+  if (attempt) {
+    startScreen.classList.add("hidden");
+    showDailyResult(date, attempt);
+    return;
+  }
+  progressStore.recordDaily(currentPackKey, date, { finished: false });
+  dailyRun = { date, outcomes: [] };
+
+  const allPairs = getCampaignLevels().flatMap((levelData) => levelData.pairs);
+  const dailySettings = getPack().daily || {};
+  startBackgroundMusic();
+  showGameScreen(`DAILY ${date}`, "TURNS", false);
+  engine.setup({
+    mode: "daily",
+    pairs: allPairs,
+    pairCount: dailySettings.pairCount || DEFAULT_DAILY_PAIR_COUNT,
+    seed: `${date}:${currentPackKey}`,
+  });
+  updateMisses();
+  updateCombo();
+
+  const peekDurationSeconds = 3;
+  createPeekTimerBlocks(peekDurationSeconds);
+  peekAtStart(peekDurationSeconds * 1000, () => engine.start());
+}
+
+function recordDailyOutcome(mark) {
+  if (engine.state.mode === "daily" && dailyRun) dailyRun.outcomes.push(mark);
+}
+
+function handleDailyChallengeEnd() {
+  engine.stop();
+  progressStore.clearBoard();
+  const { turns, totalPairs } = engine.state;
+  const { date, outcomes } = dailyRun;
+  const attempt = {
+    finished: true,
+    turns,
+    time: engine.getPlayTime(),
+    stars: Scoring.calculateStars(Scoring.defaultLevelRules(totalPairs), turns),
+    outcomes: outcomes.join(""),
+  };
+  progressStore.recordDaily(currentPackKey, date, attempt);
+  dailyRun = null;
+  gameClock.setTimeout(() => {
+    celebrate({ particleCount: 150, spread: 90, origin: { y: 0.6 } });
+    showDailyResult(date, attempt);
+  }, 800);
+}
+
+// Also shown when today's challenge is opened a second time
+function showDailyResult(date, attempt) {
+  showWinScreen();
+  winTitle.textContent = attempt.finished ? "DAILY COMPLETE!" : "DAILY ABANDONED";
+  winStatsLabel.textContent = "TURNS";
+  winStatsValue.textContent = attempt.finished ? attempt.turns : "-";
+  winTimeContainer.classList.toggle("hidden", !attempt.finished);
+  winTimeDisplay.textContent = formatDuration(attempt.time || 0);
+  winStarsContainer.querySelectorAll(".star").forEach((star, index) =>
+    star.classList.toggle("filled", index < (attempt.stars || 0))
+  );
+  shareResultButton.classList.toggle("hidden", !attempt.finished);
+  shareResultButton.textContent = "Share Result";
+  shareResultButton.onclick = () => shareDailyResult(date, attempt);
+  nextActionButton.textContent = "Main Menu";
+  nextActionButton.onclick = showStartScreen;
+}
+
+function getDailyShareText(date, attempt) {
+  const title = getPack().title || currentPackKey;
+  const stars = "⭐".repeat(attempt.stars) + "☆".repeat(3 - attempt.stars);
+  // Array.from keeps each emoji whole when splitting into rows of 8
+  const marks = Array.from(attempt.outcomes);
+  const rows = [];
+  for (let i = 0; i < marks.length; i += 8) rows.push(marks.slice(i, i + 8).join(""));
+  return [
+    `BrainMatch Daily ${date} (${title})`,
+    `${stars} ${attempt.turns} turns, ${formatDuration(attempt.time)}`,
+    ...rows,
+  ].join("\n");
+}
+
+// Copies the result, or shows it for copying by hand when the clipboard
+// is not available (some WebViews)
+async function shareDailyResult(date, attempt) {
+  const text = getDailyShareText(date, attempt);
+  try {
+    await navigator.clipboard.writeText(text);
+    shareResultButton.textContent = "Copied!";
+  } catch (e) {
+    shareText.value = text;
+    shareText.classList.remove("hidden");
+    shareText.select();
+  }
+}
+
+// Play times are shown as minutes and seconds, e.g. 83000 -> "1:23"
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Reaction times are shown in seconds, e.g. 1234 -> "1.23s"
+function formatSeconds(ms) {
+  return ms === null ? "-" : `${(ms / 1000).toFixed(2)}s`;
+}
+
+// --- Pass & Play ---
+// Two to four players share one device. A match scores a point and the
+// same player goes again; a mismatch passes play on (see GameEngine).
+const DEFAULT_HOTSEAT_PAIR_COUNT = 8;
+
+function showPlayersPrompt() {
+  playersPrompt.classList.remove("hidden");
+}
+
+function hidePlayersPrompt() {
+  playersPrompt.classList.add("hidden");
+}
+
+function startHotSeat(players) {
+  hidePlayersPrompt();
+  startBackgroundMusic();
+  const allPairs = getCampaignLevels().flatMap((levelData) => levelData.pairs);
+  showGameScreen("PASS & PLAY", "SCORES", false);
+  engine.setup({
+    mode: "hotseat",
+    pairs: allPairs,
+    pairCount: DEFAULT_HOTSEAT_PAIR_COUNT,
+    players,
+  });
+  updateMisses();
+  updateCombo();
+  updatePlayers();
+  engine.start(); // No peek: nobody gets a head start
+}
+
+function isHotSeat() {
+  return engine.state.scores.length > 1;
+}
+
+// Whose turn it is goes in the title, every player's score in the turns slot
+function updatePlayers() {
+  if (!isHotSeat()) return;
+  const { scores, currentPlayer } = engine.state;
+  levelDisplay.textContent = `PLAYER ${currentPlayer + 1}'S TURN`;
+  turnsDisplay.innerHTML = "";
+  scores.forEach((score, player) => {
+    const entry = document.createElement("span");
+    entry.className = "player-score";
+    entry.classList.toggle("current", player === currentPlayer);
+    entry.textContent = `P${player + 1} ${score}`;
+    turnsDisplay.appendChild(entry);
+  });
+}
+
+function getHotSeatWinners(scores) {
+  const best = Math.max(...scores);
+  return scores.reduce((winners, score, player) => {
+    if (score === best) winners.push(player);
+    return winners;
+  }, []);
+}
+
+function handleHotSeatEnd() {
+  engine.stop();
+  progressStore.clearBoard();
+  const { scores } = engine.state;
+  const winners = getHotSeatWinners(scores);
+  gameClock.setTimeout(() => {
+    celebrate({ particleCount: 150, spread: 90, origin: { y: 0.6 } });
+    showWinScreen();
+    winStarsContainer.classList.add("hidden");
+    winTitle.textContent =
+      winners.length === 1
+        ? `PLAYER ${winners[0] + 1} WINS!`
+        : `TIE: PLAYERS ${winners.map((player) => player + 1).join(" & ")}!`;
+    winStatsLabel.textContent = "PAIRS FOUND";
+    winStatsValue.textContent = scores
+      .map((score, player) => `P${player + 1} ${score}`)
+      .join(" · ");
+    nextActionButton.textContent = "Play Again";
+    nextActionButton.onclick = () => startHotSeat(scores.length);
+  }, 500);
+}
+
+// --- Online Race ---
+// Two players race on the same board from their own devices through the
+// relay in relay-server/ (see race-client.js). The host deals the board
+// with a fresh seed and the relay hands both players the same config;
+// the first finish to reach the relay wins, and leaving forfeits.
+const DEFAULT_RACE_PAIR_COUNT = 8;
+const RACE_RELAY_PATH = "/race";
+
+let raceClient = null;
+let rivalProgress = null; // { matchedPairs, totalPairs, turns }
+
+// The relay serves the game too, so by default it is the page's own host
+function getDefaultRelayUrl() {
+  const { protocol, host } = window.location;
+  if (protocol !== "http:" && protocol !== "https:") return `ws://localhost:8080${RACE_RELAY_PATH}`;
+  return `${protocol === "https:" ? "wss" : "ws"}://${host}${RACE_RELAY_PATH}`;
+}
+
+function showRacePrompt() {
+  if (!raceServerInput.value) raceServerInput.value = getDefaultRelayUrl();
+  raceStatus.textContent = "";
+  racePrompt.classList.remove("hidden");
+}
+
+function hideRacePrompt() {
+  leaveRace();
+  racePrompt.classList.add("hidden");
+}
+
+async function openRace(send) {
+  leaveRace();
+  const client = new RaceClient();
+  client.on("created", ({ room }) => {
+    raceStatus.textContent = `Race code: ${room}. Waiting for a rival...`;
+  });
+  client.on("start", ({ board }) => startRace(board));
+  client.on("progress", (progress) => updateRival(progress));
+  client.on("result", (result) => handleRaceResult(result));
+  client.on("error", ({ message }) => {
+    raceStatus.textContent = message;
+  });
+  client.on("disconnect", () => handleRaceDisconnect());
+  raceClient = client;
+  raceStatus.textContent = "Connecting...";
+  try {
+    await client.connect(raceServerInput.value.trim());
+  } catch (e) {
+    if (raceClient === client) raceClient = null;
+    raceStatus.textContent = "Could not reach the relay. Is it running?";
+    return;
+  }
+  if (raceClient === client) send(client);
+}
+
+function createRace() {
+  const board = {
+    mode: "race",
+    pairs: getCampaignLevels().flatMap((levelData) => levelData.pairs),
+    pairCount: DEFAULT_RACE_PAIR_COUNT,
+    seed: Math.floor(Math.random() * 4294967296),
+  };
+  openRace((client) => client.create(board));
+}
+
+function joinRace() {
+  const code = raceCodeInput.value.trim().toUpperCase();
+  if (!code) {
+    raceStatus.textContent = "Enter the code your rival was given.";
+    return;
+  }
+  openRace((client) => client.join(code));
+}
+
+function leaveRace() {
+  if (!raceClient) return;
+  raceClient.close();
+  raceClient = null;
+}
+
+function startRace(board) {
+  racePrompt.classList.add("hidden");
+  startBackgroundMusic();
+  showGameScreen("ONLINE RACE", "TURNS", false);
+  engine.setup({ ...board, mode: "race", players: 1 });
+  updateMisses();
+  updateCombo();
+  updateRival({ matchedPairs: 0, totalPairs: engine.state.totalPairs, turns: 0 });
+  rivalContainer.classList.remove("hidden");
+
+  // Both boards open together, after the same peek
+  const peekDurationSeconds = 3;
+  createPeekTimerBlocks(peekDurationSeconds);
+  peekAtStart(peekDurationSeconds * 1000, () => engine.start());
+}
+
+function sendRaceProgress() {
+  if (!raceClient || engine.state.mode !== "race" || isReplaying()) return;
+  const { matchedPairs, totalPairs, turns } = engine.state;
+  raceClient.sendProgress({ matchedPairs, totalPairs, turns });
+}
+
+function updateRival(progress) {
+  rivalProgress = progress;
+  rivalDisplay.textContent = `${progress.matchedPairs}/${progress.totalPairs} (${progress.turns} turns)`;
+}
+
+function handleRaceFinish() {
+  engine.stop();
+  if (raceClient) {
+    raceClient.finish(engine.state.turns); // The relay answers with the result
+  } else {
+    handleRaceResult({ won: false, reason: "disconnected" });
+  }
+}
+
+function handleRaceDisconnect() {
+  raceClient = null;
+  if (engine.state.mode === "race" && engine.state.status === "playing") {
+    rivalDisplay.textContent = "offline";
+  } else {
+    raceStatus.textContent = "The relay closed the connection.";
+  }
+}
+
+function getRaceTitle({ won, reason }) {
+  if (reason === "disconnected") return "CONNECTION LOST";
+  if (!won) return "YOUR RIVAL WON!";
+  return reason === "left" ? "YOUR RIVAL LEFT. YOU WIN!" : "YOU WIN THE RACE!";
+}
+
+function handleRaceResult(result) {
+  leaveRace();
+  engine.stop();
+  clearAllTimers(); // The rival may win while this board is still in its peek
+  const { matchedPairs, totalPairs } = engine.state;
+  const rivalCleared = !result.won && result.reason === "finished";
+  const rivalPairs = rivalCleared ? totalPairs : rivalProgress ? rivalProgress.matchedPairs : 0;
+  gameClock.setTimeout(() => {
+    if (result.won) celebrate({ particleCount: 150, spread: 90, origin: { y: 0.6 } });
+    showWinScreen();
+    rivalContainer.classList.add("hidden");
+    winStarsContainer.classList.add("hidden");
+    winTitle.textContent = getRaceTitle(result);
+    winStatsLabel.textContent = "PAIRS FOUND";
+    winStatsValue.textContent = `You ${matchedPairs}/${totalPairs} · Rival ${rivalPairs}/${totalPairs}`;
+    nextActionButton.textContent = "Main Menu";
+    nextActionButton.onclick = showStartScreen;
+  }, 500);
+}
+
+// --- Study Mode ---
+// Spaced repetition over every pair of the pack (see study-scheduler.js).
+// Wrong matches in any single-player mode send a pair back to the first
+// box; a study board is dealt from the pairs due for review, and pairs
+// matched on it without a mistake move up a box.
+const DEFAULT_STUDY_PAIR_COUNT = 6;
+// { mistakes } (pair keys) while a study board is being played
+let studyRun = null;
+
+function getStudyLabel(cards) {
+  const text = cards.find((card) => card.kind === "text");
+  if (text) return text.value;
+  const described = cards.find((card) => card.alt);
+  return described ? described.alt : cards[0].value;
+}
+
+// Every pair of the pack once, as { key, label, pair }
+function getStudyItems() {
+  const items = new Map();
+  getCampaignLevels()
+    .flatMap((levelData) => levelData.pairs)
+    .forEach((pair) => {
+      const cards = GameEngine.buildDeck([pair]);
+      if (cards.length !== 2) return;
+      const key = StudyScheduler.getPairKey(cards);
+      if (!items.has(key)) items.set(key, { key, label: getStudyLabel(cards), pair });
+    });
+  return [...items.values()];
+}
+
+function getBoardStudyKeys() {
+  const keys = new Set();
+  engine.state.cards.forEach((card) =>
+    keys.add(StudyScheduler.getPairKey([card, engine.getPartner(card)]))
+  );
+  return [...keys];
+}
+
+// Both pairs of a wrong match were confused, so both go back for review
+function recordStudyMistake(mismatch) {
+  if (isReplaying() || isHotSeat()) return;
+  const entries = progressStore.getStudy(currentPackKey);
+  const now = Date.now();
+  mismatch.cards.forEach((card) => {
+    const key = StudyScheduler.getPairKey([card, engine.getPartner(card)]);
+    progressStore.recordStudy(currentPackKey, key, StudyScheduler.recordMistake(entries[key], now));
+    if (studyRun && !studyRun.mistakes.includes(key)) studyRun.mistakes.push(key);
+  });
+}
+
+function startStudyRound() {
+  const items = getStudyItems();
+  // One seed picks the pairs and deals them, so it reproduces the whole board
+  const seed = Math.floor(Math.random() * 4294967296);
+  const keys = StudyScheduler.pickBoard(
+    items.map((item) => item.key),
+    progressStore.getStudy(currentPackKey),
+    DEFAULT_STUDY_PAIR_COUNT,
+    Date.now(),
+    seed
+  );
+  const pairs = keys.map((key) => items.find((item) => item.key === key).pair);
+  studyRun = { mistakes: [] };
+  masteryScreen.classList.add("hidden");
+  startBackgroundMusic();
+  showGameScreen("STUDY", "TURNS", false);
+  engine.setup({ mode: "study", pairs, seed });
+  updateMisses();
+  updateCombo();
+
+  const peekDurationSeconds = 3;
+  createPeekTimerBlocks(peekDurationSeconds);
+  peekAtStart(peekDurationSeconds * 1000, () => engine.start());
+}
+
+function handleStudyRoundEnd() {
+  engine.stop();
+  progressStore.clearBoard();
+  const entries = progressStore.getStudy(currentPackKey);
+  const mistakes = studyRun ? studyRun.mistakes : [];
+  const keys = getBoardStudyKeys();
+  const now = Date.now();
+  keys.forEach((key) => {
+    const clean = !mistakes.includes(key);
+    progressStore.recordStudy(currentPackKey, key, StudyScheduler.recordReview(entries[key], clean, now));
+  });
+  const cleanCount = keys.filter((key) => !mistakes.includes(key)).length;
+  studyRun = null;
+  gameClock.setTimeout(() => {
+    showWinScreen();
+    winStarsContainer.classList.add("hidden");
+    winTitle.textContent = "STUDY ROUND DONE!";
+    winStatsLabel.textContent = "MATCHED WITHOUT A MISTAKE";
+    winStatsValue.textContent = `${cleanCount}/${keys.length}`;
+    nextActionButton.textContent = "Continue";
+    nextActionButton.onclick = showMasteryScreen;
+  }, 500);
+}
+
+function showMasteryScreen() {
+  const entries = progressStore.getStudy(currentPackKey);
+  const now = Date.now();
+  const items = getStudyItems();
+  masteryGroups.forEach((group) => {
+    const inGroup = items.filter(
+      (item) => StudyScheduler.getMastery(entries[item.key]) === group.dataset.mastery
+    );
+    group.querySelector(".mastery-count").textContent = inGroup.length;
+    const list = group.querySelector(".mastery-list");
+    list.innerHTML = "";
+    inGroup.forEach((item) => {
+      const entry = list.appendChild(document.createElement("li"));
+      entry.textContent = item.label;
+      const mistakes = entries[item.key] ? entries[item.key].mistakes : 0;
+      if (mistakes) entry.title = `Missed ${mistakes} ${mistakes === 1 ? "time" : "times"}`;
+    });
+  });
+  const dueCount = items.filter((item) => {
+    const entry = entries[item.key];
+    return StudyScheduler.getMastery(entry) !== "new" && entry.due <= now;
+  }).length;
+  masteryDue.textContent = dueCount
+    ? `${dueCount} to review now.`
+    : "Nothing is due for review right now.";
+  startScreen.classList.add("hidden");
+  winScreen.classList.add("hidden");
+  gameContainer.classList.add("hidden");
+  masteryScreen.classList.remove("hidden");
+}
+
+// --- Level Review ---
+// Between a campaign level and the next one the player goes over the
+// pairs that were on the board, with whatever facts the content gives
+// them (pair.facts), the ones they mixed up most often first.
+const REVIEW_FACT_LABELS = { capital: "Capital", continent: "Continent" };
+// pair key -> wrong matches involving the pair on the board being played
+let levelMistakes = {};
+
+function recordLevelMistake(mismatch) {
+  if (isReplaying()) return;
+  mismatch.cards.forEach((card) => {
+    const key = StudyScheduler.getPairKey([card, engine.getPartner(card)]);
+    levelMistakes[key] = (levelMistakes[key] || 0) + 1;
+  });
+}
+
+// The level's pairs that were dealt, as { key, label, cards, facts }
+function getReviewItems(level) {
+  const boardKeys = getBoardStudyKeys();
+  return getLevelData(level)
+    .pairs.map((pair) => {
+      const cards = GameEngine.buildDeck([pair]);
+      const key = StudyScheduler.getPairKey(cards);
+      return { key, label: getStudyLabel(cards), cards, facts: pair.facts };
+    })
+    .filter((item) => item.cards.length === 2 && boardKeys.includes(item.key));
+}
+
+// Facts that are not strings are ignored (the validator warns about them)
+function getReviewFact(item, field) {
+  const facts = item.facts;
+  if (!facts || typeof facts !== "object" || typeof facts[field] !== "string") return "";
+  return facts[field].trim();
+}
+
+function renderReviewItem(item, misses, isMostMissed) {
+  const entry = document.createElement("li");
+  entry.classList.add("review-item");
+  entry.classList.toggle("most-missed", isMostMissed);
+
+  // The side that is not the name, e.g. the flag
+  const face = entry.appendChild(document.createElement("div"));
+  face.classList.add("review-face");
+  CardKinds.render(face, item.cards.find((card) => card.kind !== "text") || item.cards[1]);
+
+  const details = entry.appendChild(document.createElement("div"));
+  details.classList.add("review-details");
+  const title = details.appendChild(document.createElement("h3"));
+  title.textContent = item.label;
+  if (misses) {
+    const missCount = title.appendChild(document.createElement("span"));
+    missCount.classList.add("review-misses");
+    missCount.textContent = `Missed ${misses} ${misses === 1 ? "time" : "times"}`;
+  }
+  const place = Object.keys(REVIEW_FACT_LABELS)
+    .filter((field) => getReviewFact(item, field))
+    .map((field) => `${REVIEW_FACT_LABELS[field]}: ${getReviewFact(item, field)}`)
+    .join(" · ");
+  if (place) details.appendChild(document.createElement("p")).textContent = place;
+  const funFact = getReviewFact(item, "funFact");
+  if (funFact) {
+    const fact = details.appendChild(document.createElement("p"));
+    fact.classList.add("review-fact");
+    fact.textContent = funFact;
+  }
+  return entry;
+}
+
+function showReviewScreen(items, mistakes, nextLevel) {
+  const missesOf = (item) => mistakes[item.key] || 0;
+  const sorted = items.slice().sort((a, b) => missesOf(b) - missesOf(a));
+  const mostMisses = sorted.length ? missesOf(sorted[0]) : 0;
+  const mostMissed = sorted.filter((item) => mostMisses > 0 && missesOf(item) === mostMisses);
+  reviewList.replaceChildren(
+    ...sorted.map((item) => renderReviewItem(item, missesOf(item), mostMissed.includes(item)))
+  );
+  reviewSummary.textContent = mostMissed.length
+    ? `Most mixed up: ${mostMissed.map((item) => item.label).join(", ")}.`
+    : "Every pair was matched without a mistake!";
+  if (isLevelReplay) {
+    reviewNextButton.textContent = "Main Menu";
+    reviewNextButton.onclick = showStartScreen;
+  } else if (nextLevel !== null) {
+    reviewNextButton.textContent = "Next Level";
+    reviewNextButton.onclick = () => startGame(nextLevel);
+  } else {
+    reviewNextButton.textContent = "See Final Score";
+    reviewNextButton.onclick = showFinalScoreScreen;
+  }
+  winScreen.classList.add("hidden");
+  reviewScreen.classList.remove("hidden");
+}
+
+// --- Session Recording & Replay ---
+// Every new board is recorded from its start (see session-replay.js), so
+// a player can export it with a bug report and we can watch it play out
+// exactly as it did. Boards resumed from a save are not recorded. A replay drives the real engine and board; saving,
+// progress and analytics stay out of it.
+const sessionRecorder = new SessionReplay.SessionRecorder(engine, {
+  getInfo: () => ({ pack: currentPackKey }),
+});
+let sessionPlayer = null;
+
+function isReplaying() {
+  return sessionPlayer !== null;
+}
+
+function renderReplayTools() {
+  const hasRecording = sessionRecorder.session !== null;
+  watchLastGameButton.classList.toggle("hidden", !hasRecording);
+  exportLastGameButton.classList.toggle("hidden", !hasRecording);
+}
+
+// Problems with a replay are shown under the start screen's replay tools
+function showReplayMessage(message) {
+  replayMessage.textContent = message;
+  replayMessage.classList.toggle("hidden", !message);
+}
+
+function exportRecording() {
+  const session = sessionRecorder.session;
+  if (!session) {
+    showReplayMessage("There is no game to export yet.");
+    return;
+  }
+  const blob = new Blob([JSON.stringify(session)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `brainmatch-${session.setup.mode}-${session.recordedAt.slice(0, 19).replace(/:/g, "-")}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function importRecording(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    let session = null;
+    try {
+      session = JSON.parse(reader.result);
+    } catch (e) { /* reported as not a recording */ }
+    const problem = SessionReplay.validateSession(session);
+    if (problem) {
+      showReplayMessage(`This replay cannot be played: ${problem}.`);
+      return;
     }
-  }, 1000);
+    startReplay(session);
+  };
+  reader.readAsText(file);
+}
+
+function startReplay(session) {
+  const { mode, level, timeLimit } = session.setup;
+  const where = {
+    reflex: "REFLEX MODE",
+    daily: "DAILY",
+    hotseat: "PASS & PLAY",
+    race: "ONLINE RACE",
+    study: "STUDY",
+    campaign: `LEVEL ${level}`,
+  }[mode];
+  sessionRecorder.enabled = false;
+  dailyRun = null;
+  sessionPlayer = new SessionReplay.SessionPlayer(engine, session, {
+    onUpdate: () => updateReplayBar(),
+  });
+  showGameScreen(`REPLAY: ${where}`, mode === "reflex" ? "MOVES" : "TURNS", timeLimit > 0);
+  pauseButton.classList.add("hidden");
+  replayBar.classList.remove("hidden");
+  sessionPlayer.load();
+  updateMisses();
+  updateCombo();
+  updatePlayers();
+  if (timeLimit) updateTimer(timeLimit);
+}
+
+function updateReplayBar() {
+  const { index, isPlaying, isFinished, session } = sessionPlayer;
+  replayPlayButton.textContent = isPlaying ? "⏸ Pause" : "▶ Play";
+  replayPlayButton.disabled = isFinished;
+  replayStepButton.disabled = isFinished || isPlaying;
+  if (!isFinished) {
+    replayStatus.textContent = `Input ${index} of ${session.events.length}`;
+  } else if (engine.state.status === "playing") {
+    replayStatus.textContent = "End of recording"; // Left before the board was finished
+  }
+}
+
+function toggleReplay() {
+  if (sessionPlayer.isPlaying) sessionPlayer.pause();
+  else sessionPlayer.play();
+}
+
+function handleReplayEnd({ turns, reason }) {
+  if (reason) {
+    replayStatus.textContent = `Lost: ${LOSE_TITLES[reason]}`;
+  } else if (isHotSeat()) {
+    const winners = getHotSeatWinners(engine.state.scores);
+    replayStatus.textContent = `Won by player ${winners.map((player) => player + 1).join(" & ")}`;
+  } else {
+    replayStatus.textContent = `Won in ${turns} ${turnsLabel.textContent.toLowerCase()}`;
+  }
+}
+
+function closeReplay() {
+  sessionPlayer.close();
+  sessionPlayer = null;
+  sessionRecorder.enabled = true;
+  replayBar.classList.add("hidden");
+  pauseButton.classList.remove("hidden");
+  showStartScreen();
+}
+
+// --- Lose Screen ---
+const LOSE_TITLES = {
+  timeout: "TIME'S UP!",
+  mismatches: "TOO MANY MISSES!",
+};
+
+function showLoseScreen({ reason }) {
+  const { mode, level, turns, matchedPairs, totalPairs, timeLimit, timeRemaining } =
+    engine.state;
+  const bonusTime = mode === "campaign" ? getLevelData(level).bonusTime : 0;
+
+  gameContainer.classList.add("hidden");
+  loseScreen.classList.remove("hidden");
+  loseTitle.textContent = LOSE_TITLES[reason] || "GAME OVER";
+  losePairsDisplay.textContent = `${matchedPairs}/${totalPairs}`;
+  loseTurnsDisplay.textContent = turns;
+  loseTimeContainer.classList.toggle("hidden", !timeLimit);
+  const timeAdded = bonusTimeUsed ? bonusTime : 0;
+  loseTimeDisplay.textContent = `${timeLimit + timeAdded - timeRemaining}s`;
+
+  const canContinue = reason === "timeout" && bonusTime > 0 && !bonusTimeUsed;
+  continueBonusButton.classList.toggle("hidden", !canContinue);
+  continueBonusButton.textContent = `Continue (+${bonusTime}s)`;
+}
+
+function retryLevel() {
+  loseScreen.classList.add("hidden");
+  if (engine.state.mode === "reflex") {
+    startReflexMode();
+  } else {
+    startGame(engine.state.level);
+  }
+}
+
+function continueWithBonusTime() {
+  const bonusTime = getLevelData(engine.state.level).bonusTime;
+  if (bonusTimeUsed || !engine.addTime(bonusTime)) return;
+  bonusTimeUsed = true;
+  saveBoard();
+  loseScreen.classList.add("hidden");
+  gameContainer.classList.remove("hidden");
 }
 
 function showStartScreen() {
   winScreen.classList.add("hidden");
+  loseScreen.classList.add("hidden");
+  dailyRun = null;
+  studyRun = null;
   gameContainer.classList.add("hidden");
   finalScoreScreen.classList.add("hidden");
+  masteryScreen.classList.add("hidden");
+  reviewScreen.classList.add("hidden");
+  rivalContainer.classList.add("hidden");
   startScreen.classList.remove("hidden");
+  renderStartScreenProgress();
+  renderReplayTools();
+  leaveRace();
 
+  engine.stop();
+  clearAllTimers();
+  progressStore.clearBoard();
   stopBackgroundMusic();
 }
 
-function clearAllTimers() {
-  clearTimeout(gameState.reflexTimeoutId);
-  clearInterval(gameState.timerId);
-}
-
 // --- How to Play Tutorial ---
 function showHowToPlay() {
   const howToPlay = document.querySelector(".how-to-play");
   const startGameButton = document.getElementById("start-game-button");
   const tutorialCards = document.querySelectorAll(".tutorial-card");
 
-  // Get first pair from level 1 for the tutorial
-  const tutorialPair = gameContent.content.science.level1.pairs[0];
+  // Get first pair from the first level for the tutorial
+  const tutorialPair = getCampaignLevels()[0].pairs[0];
   const card1Front = document.querySelector("#tutorial-card-1 .tutorial-front");
   const card2Front = document.querySelector("#tutorial-card-2 .tutorial-front");
 
-  // Set up the cards based on the game mode
-  if (gameContent.gameMode === "textToText") {
-    card1Front.textContent = tutorialPair.a;
-    card2Front.textContent = tutorialPair.b;
-  } else if (gameContent.gameMode === "textToImage") {
-    card1Front.textContent = tutorialPair.a;
-    card2Front.innerHTML = `<img src="${tutorialPair.image}" alt="${tutorialPair.imageAlt}">`;
-  } else if (gameContent.gameMode === "imageToImage") {
-    card1Front.innerHTML = `<img src="${tutorialPair.firstImage}" alt="${tutorialPair.firstImageAlt}">`;
-    card2Front.innerHTML = `<img src="${tutorialPair.secondImage}" alt="${tutorialPair.secondImageAlt}">`;
-  }
+  // Set up the cards the same way the board shows them
+  const [tutorialCard1, tutorialCard2] = GameEngine.buildDeck([tutorialPair]);
+  CardKinds.render(card1Front, tutorialCard1);
+  CardKinds.render(card2Front, tutorialCard2);
 
   howToPlay.classList.remove("hidden");
 
@@ -678,20 +2151,23 @@ function showHowToPlay() {
   // Start game when "Got it!" is clicked
   startGameButton.onclick = () => {
     howToPlay.classList.add("hidden");
-    startGame(1);
+    startCampaign(getCampaignLevelNumbers()[0]);
   };
 }
 
 // --- Pause Menu Functions ---
 function showPauseMenu() {
-    gameState.isPaused = true;
-    gameState.lockBoard = true;
+    engine.pause();
+    // A board resumed from a save was not recorded
+    exportRecordingButton.disabled = sessionRecorder.session === null;
+    exportRecordingButton.title = exportRecordingButton.disabled
+      ? "Boards resumed from a save are not recorded"
+      : "";
     pauseMenu.classList.remove('hidden');
 }
 
 function hidePauseMenu() {
-  gameState.isPaused = false;
-  gameState.lockBoard = false;
+  engine.resume();
   pauseMenu.classList.add("hidden");
 }
 
@@ -699,20 +2175,13 @@ function showPauseTutorial() {
     pauseTutorial.classList.remove('hidden');
     
     // Set up tutorial cards
-    const tutorialPair = gameContent.content.science.level1.pairs[0];
+    const tutorialPair = getCampaignLevels()[0].pairs[0];
     const card1Front = document.querySelector('#pause-tutorial-card-1 .tutorial-front');
     const card2Front = document.querySelector('#pause-tutorial-card-2 .tutorial-front');
 
-    if (gameContent.gameMode === 'textToText') {
-        card1Front.textContent = tutorialPair.a;
-        card2Front.textContent = tutorialPair.b;
-    } else if (gameContent.gameMode === 'textToImage') {
-        card1Front.textContent = tutorialPair.a;
-        card2Front.innerHTML = `<img src="${tutorialPair.image}" alt="${tutorialPair.imageAlt}">`;
-    } else if (gameContent.gameMode === 'imageToImage') {
-        card1Front.innerHTML = `<img src="${tutorialPair.firstImage}" alt="${tutorialPair.firstImageAlt}">`;
-        card2Front.innerHTML = `<img src="${tutorialPair.secondImage}" alt="${tutorialPair.secondImageAlt}">`;
-    }
+    const [tutorialCard1, tutorialCard2] = GameEngine.buildDeck([tutorialPair]);
+    CardKinds.render(card1Front, tutorialCard1);
+    CardKinds.render(card2Front, tutorialCard2);
 
     // Start tutorial animation
     const tutorialCards = document.querySelectorAll('.pause-tutorial-card');
@@ -753,16 +2222,89 @@ function hidePauseTutorial() {
 }
 
 // --- Initial Event Listeners ---
-// Disable start button until content is loaded
-startCampaignButton.disabled = true;
+// Disable the buttons that need content until it is loaded
+const contentButtons = [startCampaignButton, startHotSeatButton, startRaceButton, startStudyButton];
+contentButtons.forEach((button) => (button.disabled = true));
 
 // Load game content when page loads
+applySoundSettings();
+applyDisplaySettings();
 document.addEventListener("DOMContentLoaded", loadGameContent);
 
 startCampaignButton.addEventListener("click", showHowToPlay);
 startReflexButton.addEventListener("click", startReflexMode);
+startDailyButton.addEventListener("click", () => startDailyChallenge());
+startHotSeatButton.addEventListener("click", showPlayersPrompt);
+playerCountButtons.forEach((button) =>
+  button.addEventListener("click", () => startHotSeat(Number(button.dataset.players)))
+);
+playersCancelButton.addEventListener("click", hidePlayersPrompt);
+startRaceButton.addEventListener("click", showRacePrompt);
+raceCreateButton.addEventListener("click", () => createRace());
+raceJoinButton.addEventListener("click", () => joinRace());
+raceCancelButton.addEventListener("click", hideRacePrompt);
+startStudyButton.addEventListener("click", () => showMasteryScreen());
+studyNowButton.addEventListener("click", () => startStudyRound());
+masteryMenuButton.addEventListener("click", showStartScreen);
+continueCampaignButton.addEventListener("click", continueCampaign);
+packPicker.addEventListener("change", () => selectPack(packPicker.value));
+window.addEventListener("resize", () => layoutBoard(engine.state.cards.length));
+contentErrorsContinueButton.addEventListener("click", hideContentErrors);
+contentErrorsReloadButton.addEventListener("click", () => window.location.reload());
+resumeSavedGameButton.addEventListener("click", () => resumeSavedGame());
+discardSavedGameButton.addEventListener("click", discardSavedGame);
+
+// Leaving the tab pauses the board (or the peek before it); it is saved either way
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState !== "hidden") return;
+  if (isReplaying()) {
+    sessionPlayer.pause();
+    return;
+  }
+  if (engine.state.status !== "playing" && engine.state.status !== "ready") return;
+  saveBoard();
+  if (!engine.state.isPaused) showPauseMenu();
+});
 
 mainMenuButton.addEventListener("click", showStartScreen);
+hintButtons.forEach((button) =>
+  button.addEventListener("click", () => useHint(button.dataset.hint))
+);
+retryLevelButton.addEventListener("click", () => retryLevel());
+continueBonusButton.addEventListener("click", () => continueWithBonusTime());
+loseMenuButton.addEventListener("click", showStartScreen);
+replayPlayButton.addEventListener("click", () => toggleReplay());
+replayStepButton.addEventListener("click", () => sessionPlayer.step());
+replayExitButton.addEventListener("click", () => closeReplay());
+watchLastGameButton.addEventListener("click", () => startReplay(sessionRecorder.session));
+exportLastGameButton.addEventListener("click", () => exportRecording());
+exportRecordingButton.addEventListener("click", () => exportRecording());
+importReplayButton.addEventListener("click", () => importReplayInput.click());
+importReplayInput.addEventListener("change", () => {
+  importRecording(importReplayInput.files[0]);
+  importReplayInput.value = ""; // Picking the same file again still loads it
+});
+
+cardGrid.addEventListener("keydown", handleCardKeys);
+settingsButton.addEventListener("click", showSettings);
+pauseSettingsButton.addEventListener("click", showSettings);
+settingsDoneButton.addEventListener("click", hideSettings);
+soundOptions.forEach((input) => {
+  const name = input.dataset.sound;
+  if (input.type === "range") {
+    input.addEventListener("input", () => setSoundOption(name, Number(input.value) / 100));
+  } else {
+    input.addEventListener("change", () => setSoundOption(name, input.checked));
+  }
+});
+// A sample of the effects volume once the slider is let go
+effectsVolumeInput.addEventListener("change", () => playSound("flip"));
+displayOptions.forEach((input) =>
+  input.addEventListener("change", () => setDisplayOption(input.dataset.display, input.checked))
+);
+if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+  reducedMotionQuery.addEventListener("change", applyDisplaySettings);
+}
 
 // --- [NEW] DEV FEATURE: AUTO-COMPLETE LEVEL ---
 window.addEventListener("keydown", (e) => {
@@ -773,7 +2315,7 @@ window.addEventListener("keydown", (e) => {
     !gameContainer.classList.contains("hidden")
   ) {
     // Ensure it only works for the campaign mode
-    if (gameState.gameMode === "campaign") {
+    if (engine.state.mode === "campaign") {
       console.log("DEV: Auto-completing campaign level...");
       handleCampaignWin();
     }
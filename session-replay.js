@@ -0,0 +1,276 @@
+// =====================================================
+// Session Replay for BrainMatch
+// =====================================================
+// Records a board as its setup (with the seed it was
+// dealt from) plus a timestamped log of every input, and
+// plays such a recording back through a GameEngine. Each
+// input also notes how many clock tasks had run before
+// it, so a replay on manual timers fires the same flip-
+// backs, reflex timeouts and ticks in the same order as
+// the real session, however close together they were.
+// Loads as a plain <script> (window.SessionReplay) or
+// with require() in Node.
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./game-clock"));
+  } else {
+    root.SessionReplay = factory(root.GameClock);
+  }
+})(typeof self !== "undefined" ? self : this, function (GameClock) {
+  "use strict";
+
+  const VERSION = 1;
+  const INPUT_TYPES = ["flip", "pause", "resume", "hint", "addTime"];
+  const MODES = ["campaign", "reflex", "daily", "hotseat", "race", "study"];
+  const FRAME_MS = 50; // real ms between two playback updates
+
+  const DEFAULT_TIMERS = {
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id),
+  };
+
+  class SessionRecorder {
+    /**
+     * Records every board the engine deals with setup() from its start()
+     * on. Boards rebuilt with restore() are not recorded; starting one
+     * drops the previous recording, which belongs to another board.
+     * @param {GameEngine} engine
+     * @param {Object} [options]
+     * @param {Function} [options.getInfo] - Extra details to keep with a recording, e.g. the pack
+     */
+    constructor(engine, options = {}) {
+      this.engine = engine;
+      this.enabled = true;
+      this.session = null; // the latest recording, finished or not
+      this._getInfo = options.getInfo || (() => ({}));
+      this._startedAt = 0;
+      this._firedAt = 0;
+
+      engine.on("start", () => this._begin());
+      engine.on("input", (input) => this._record(input));
+      engine.on("change", () => this._mark());
+    }
+
+    // --- Internal Helpers ---
+
+    _begin() {
+      const setup = this.engine.getSetup();
+      if (!this.enabled) return;
+      if (!setup) {
+        this.session = null;
+        return;
+      }
+      const clock = this.engine.clock;
+      this._startedAt = clock.now();
+      this._firedAt = clock.fired;
+      this.session = {
+        version: VERSION,
+        recordedAt: new Date().toISOString(),
+        info: this._getInfo(),
+        setup,
+        events: [],
+        end: { t: 0, fired: 0 },
+      };
+    }
+
+    _record(input) {
+      if (!this._isRecording()) return;
+      this.session.events.push({ ...this._stamp(), ...input });
+    }
+
+    // Move the end of the recording up to the latest engine event
+    _mark() {
+      if (!this._isRecording()) return;
+      this.session.end = this._stamp();
+    }
+
+    _stamp() {
+      const clock = this.engine.clock;
+      return { t: clock.now() - this._startedAt, fired: clock.fired - this._firedAt };
+    }
+
+    _isRecording() {
+      return (
+        this.enabled &&
+        this.session !== null &&
+        this.engine.getSetup() !== null &&
+        this.engine.state.status !== "ready"
+      );
+    }
+  }
+
+  class SessionPlayer {
+    /**
+     * Plays a recording back through an engine. The engine's clock runs
+     * on manual timers until close().
+     * @param {GameEngine} engine
+     * @param {Object} session - A SessionRecorder recording
+     * @param {Object} [options]
+     * @param {Function} [options.onUpdate] - Called after every step and when playback starts or stops
+     * @param {Object} [options.timers] - Real setTimeout/clearTimeout for playback
+     */
+    constructor(engine, session, options = {}) {
+      this.engine = engine;
+      this.clock = engine.clock;
+      this.session = session;
+      this.index = 0; // next event to apply
+      this.isPlaying = false;
+      this.isFinished = false;
+      this.speed = 1;
+      this._onUpdate = options.onUpdate || (() => {});
+      this._timers = { ...DEFAULT_TIMERS, ...options.timers };
+      this._frameId = null;
+      this._manual = null;
+    }
+
+    /**
+     * Deal the recorded board and open it, stopped at its first moment.
+     */
+    load() {
+      this._manual = GameClock.createManualTimers();
+      this.clock.useTimers(this._manual);
+      this.engine.setup(this.session.setup);
+      this.engine.start();
+      this._startedAt = this.clock.now();
+      this._firedAt = this.clock.fired;
+      this.index = 0;
+      this.isFinished = false;
+      this._onUpdate();
+    }
+
+    /**
+     * Milliseconds into the recording the replay has reached
+     * @returns {number}
+     */
+    getPosition() {
+      return this.clock.now() - this._startedAt;
+    }
+
+    /**
+     * Apply the next recorded input, running every timer that ran before
+     * it. After the last input, runs the timers up to the recording's end.
+     */
+    step() {
+      if (this.isFinished) return;
+      const event = this.session.events[this.index];
+      const target = event || this.session.end;
+      this._catchUp(target.fired, Infinity);
+      this._moveTo(target.t);
+      if (event) {
+        this.index++;
+        this._apply(event);
+      } else {
+        this.isFinished = true;
+        this.pause();
+      }
+      this._onUpdate();
+    }
+
+    /**
+     * Play on in real time (times `speed`) until the end or pause()
+     */
+    play() {
+      if (this.isPlaying || this.isFinished) return;
+      this.isPlaying = true;
+      this._onUpdate();
+      this._scheduleFrame();
+    }
+
+    pause() {
+      if (!this.isPlaying) return;
+      this.isPlaying = false;
+      this._timers.clearTimeout(this._frameId);
+      this._frameId = null;
+      this._onUpdate();
+    }
+
+    /**
+     * Stop playback and give the clock its real timers back.
+     */
+    close() {
+      this.pause();
+      this.engine.stop();
+      this.clock.useTimers();
+    }
+
+    // --- Internal Helpers ---
+
+    _scheduleFrame() {
+      this._frameId = this._timers.setTimeout(() => {
+        if (!this.isPlaying) return;
+        this._advance(this.getPosition() + FRAME_MS * this.speed);
+        if (this.isPlaying) this._scheduleFrame();
+      }, FRAME_MS);
+    }
+
+    // Play forward to `t` ms into the recording
+    _advance(t) {
+      while (!this.isFinished) {
+        const target = this.session.events[this.index] || this.session.end;
+        if (target.t > t) break;
+        this.step();
+      }
+      if (this.isFinished) return;
+      const target = this.session.events[this.index] || this.session.end;
+      this._catchUp(target.fired, t);
+      this._moveTo(t);
+    }
+
+    // Run due timers until `fired` of them have run since the start
+    _catchUp(fired, untilT) {
+      while (this.clock.fired - this._firedAt < fired) {
+        const due = this._manual.nextDue();
+        if (due === null || due > this._manual.now() + (untilT - this.getPosition())) return;
+        this._manual.runNext();
+      }
+    }
+
+    _moveTo(t) {
+      const ahead = t - this.getPosition();
+      if (ahead > 0) this._manual.setNow(this._manual.now() + ahead);
+    }
+
+    _apply(event) {
+      const engine = this.engine;
+      if (event.type === "flip") engine.flip(event.cardId);
+      else if (event.type === "pause") engine.pause();
+      else if (event.type === "resume") engine.resume();
+      else if (event.type === "hint") engine.useHint(event.hint);
+      else if (event.type === "addTime") engine.addTime(event.seconds);
+    }
+  }
+
+  /**
+   * Check that parsed JSON looks like a recording before playing it
+   * @param {*} session
+   * @returns {string|null} What is wrong with it, or null when it is fine
+   */
+  function validateSession(session) {
+    if (!session || typeof session !== "object") return "not a recording";
+    if (session.version !== VERSION) return `unsupported version ${session.version}`;
+    const setup = session.setup;
+    if (!setup || !Array.isArray(setup.pairs) || setup.pairs.length === 0) {
+      return "the recording has no board";
+    }
+    if (!setup.mode) return "the recording has no game mode";
+    if (!MODES.includes(setup.mode)) return `unknown game mode "${setup.mode}"`;
+    if (setup.seed === null || setup.seed === undefined) return "the recording has no seed";
+    if (!Array.isArray(session.events)) return "the recording has no inputs";
+    const badEvent = session.events.find(
+      (event) =>
+        !event ||
+        !INPUT_TYPES.includes(event.type) ||
+        typeof event.t !== "number" ||
+        typeof event.fired !== "number"
+    );
+    if (badEvent) return "the recording has an unknown input";
+    if (!session.end || typeof session.end.t !== "number" || typeof session.end.fired !== "number") {
+      return "the recording has no end";
+    }
+    return null;
+  }
+
+  return { SessionRecorder, SessionPlayer, validateSession, VERSION };
+});
@@ -0,0 +1,251 @@
+// =====================================================
+// Sound Engine for BrainMatch
+// =====================================================
+// Plays the game's sounds through Web Audio. Effects are
+// fetched and decoded up front, and every play gets its
+// own source node, so quick flips overlap instead of
+// cutting each other off. The background music streams
+// from its <audio> element and is ducked while effects
+// play. An effect played before it has decoded starts
+// as soon as it has; one that cannot be decoded plays
+// through an Audio element instead. A file that cannot
+// be loaded is reported once to onProblem and stays
+// silent. Without Web Audio every play uses a fresh
+// Audio element.
+// Loads as a plain <script> (window.SoundEngine) or with
+// require().
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SoundEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DUCK_LEVEL = 0.4; // music gain while effects play
+  const DUCK_TIME = 0.08; // s, time constant of the duck and its release
+
+  class SoundEngine {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.AudioContext] - Constructor; found on the page by default
+     * @param {Function} [options.Audio] - Element constructor used without Web Audio
+     * @param {Function} [options.fetch]
+     * @param {Function} [options.onProblem] - (message, url) for each file that fails, once; ignored by default
+     */
+    constructor(options = {}) {
+      const AudioContextClass =
+        options.AudioContext ||
+        (typeof AudioContext !== "undefined" ? AudioContext : null) ||
+        (typeof webkitAudioContext !== "undefined" ? webkitAudioContext : null);
+      this.Audio = options.Audio || (typeof Audio !== "undefined" ? Audio : null);
+      this.fetch = options.fetch || (typeof fetch !== "undefined" ? (url) => fetch(url) : null);
+      this.onProblem = options.onProblem || (() => {});
+      this.context = AudioContextClass ? new AudioContextClass() : null;
+      this.music = null; // the background music's <audio> element
+      this._urls = {}; // name -> url
+      this._buffers = new Map(); // url -> decoded AudioBuffer
+      this._undecodable = new Set(); // urls that loaded but did not decode
+      this._loading = new Map(); // url -> Promise<AudioBuffer|null>
+      this._reported = new Set(); // urls already reported
+      this._effectsVolume = 1;
+      this._musicVolume = 1;
+      this._playingEffects = 0;
+      if (this.context) {
+        this._effectsGain = this.context.createGain();
+        this._effectsGain.connect(this.context.destination);
+        this._musicGain = this.context.createGain();
+        this._duckGain = this.context.createGain();
+        this._musicGain.connect(this._duckGain);
+        this._duckGain.connect(this.context.destination);
+      }
+    }
+
+    /**
+     * Fetch and decode effects so they play without a delay
+     * @param {Object} files - name -> url
+     * @returns {Promise<void>} Resolves once every file is ready or reported
+     */
+    load(files) {
+      Object.assign(this._urls, files);
+      if (!this.context) return Promise.resolve(); // Played from their urls instead
+      return Promise.all(Object.values(files).map((url) => this._loadBuffer(url))).then(() => {});
+    }
+
+    /**
+     * Start decoding files that may be played later (e.g. audio cards)
+     * @param {Array<string>} urls
+     */
+    preload(urls) {
+      if (this.context) urls.forEach((url) => this._loadBuffer(url));
+    }
+
+    /**
+     * Play an effect given to load(). Plays overlap; music is ducked
+     * while any play.
+     * @param {string} name - Key given to load()
+     * @returns {{ stop: Function }|null} Null for an unknown name or while effects are muted
+     */
+    play(name) {
+      const url = this._urls[name];
+      if (!url || this._effectsVolume === 0) return null;
+      return this.playClip(url);
+    }
+
+    /**
+     * Play any file as an effect. One that is still loading starts once
+     * it has decoded; one that cannot be decoded plays from an element,
+     * and one that cannot be loaded stays silent.
+     * @param {string} url
+     * @returns {{ stop: Function }} Stops it, even before it has loaded
+     */
+    playClip(url) {
+      if (this._effectsVolume === 0) return { stop() {} };
+      if (!this.context) return this._playElement(url) || { stop() {} };
+      this._wake();
+      if (this._buffers.has(url)) return this._playBuffer(this._buffers.get(url));
+      let stopped = false;
+      let playing = null;
+      this._loadBuffer(url).then((buffer) => {
+        if (stopped || this._effectsVolume === 0) return;
+        if (buffer) playing = this._playBuffer(buffer);
+        else if (this._undecodable.has(url)) playing = this._playElement(url);
+      });
+      return {
+        stop() {
+          stopped = true;
+          if (playing) playing.stop();
+        },
+      };
+    }
+
+    /**
+     * Route the background music's <audio> element through the engine
+     * @param {HTMLMediaElement} element
+     */
+    setMusic(element) {
+      this.music = element;
+      const report = () => this._report(element.currentSrc || element.src, "could not be loaded");
+      element.addEventListener("error", report);
+      if (element.error) report(); // Failed before it was handed over
+      if (this.context) {
+        this.context.createMediaElementSource(element).connect(this._musicGain);
+      }
+      this._applyMusicVolume();
+    }
+
+    startMusic() {
+      if (!this.music) return;
+      this._wake();
+      this.music.play().catch((e) => {}); // Blocked until the page is used; errors are reported above
+    }
+
+    pauseMusic() {
+      if (this.music) this.music.pause();
+    }
+
+    stopMusic() {
+      if (!this.music) return;
+      this.music.pause();
+      this.music.currentTime = 0;
+    }
+
+    /**
+     * @param {number} volume - 0 (silent) to 1
+     */
+    setMusicVolume(volume) {
+      this._musicVolume = volume;
+      this._applyMusicVolume();
+    }
+
+    /**
+     * @param {number} volume - 0 (silent) to 1
+     */
+    setEffectsVolume(volume) {
+      this._effectsVolume = volume;
+      if (this._effectsGain) this._effectsGain.gain.value = volume;
+    }
+
+    // --- Internal Helpers ---
+
+    _loadBuffer(url) {
+      if (!this._loading.has(url)) {
+        const loading = Promise.resolve()
+          .then(() => this.fetch(url))
+          .then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.arrayBuffer();
+          })
+          .then(
+            (data) =>
+              this.context.decodeAudioData(data).then(
+                (buffer) => {
+                  this._buffers.set(url, buffer);
+                  return buffer;
+                },
+                () => {
+                  this._undecodable.add(url); // Left to an element, which may know the format
+                  return null;
+                }
+              ),
+            (e) => {
+              this._report(url, `could not be loaded (${e.message})`);
+              return null;
+            }
+          );
+        this._loading.set(url, loading);
+      }
+      return this._loading.get(url);
+    }
+
+    _playBuffer(buffer) {
+      const source = this.context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(this._effectsGain);
+      source.onended = () => {
+        this._playingEffects--;
+        if (this._playingEffects === 0) this._duck(1);
+      };
+      this._playingEffects++;
+      this._duck(DUCK_LEVEL);
+      source.start();
+      return { stop: () => source.stop() };
+    }
+
+    _playElement(url) {
+      if (!url || !this.Audio) return null;
+      const audio = new this.Audio(url);
+      audio.volume = this._effectsVolume;
+      audio.addEventListener("error", () => this._report(url, "could not be loaded"));
+      audio.play().catch((e) => {}); // Failures arrive as the error event
+      return { stop: () => audio.pause() };
+    }
+
+    _duck(level) {
+      const gain = this._duckGain.gain;
+      gain.cancelScheduledValues(this.context.currentTime);
+      gain.setTargetAtTime(level, this.context.currentTime, DUCK_TIME);
+    }
+
+    _applyMusicVolume() {
+      if (this._musicGain) this._musicGain.gain.value = this._musicVolume;
+      else if (this.music) this.music.volume = this._musicVolume;
+    }
+
+    // Browsers hold audio back until the page has been used
+    _wake() {
+      if (this.context && this.context.state === "suspended") this.context.resume().catch((e) => {});
+    }
+
+    _report(url, problem) {
+      if (this._reported.has(url)) return;
+      this._reported.add(url);
+      this.onProblem(`Sound "${url}" ${problem}; it will stay silent.`, url);
+    }
+  }
+
+  return SoundEngine;
+});
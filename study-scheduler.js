@@ -0,0 +1,122 @@
+// =====================================================
+// Study Scheduler for BrainMatch
+// =====================================================
+// Leitner boxes for the study mode. Every pair has an
+// entry { box, due, mistakes, reviews }: a mistake drops
+// it to the first box, due at once; a board finished
+// without one moves it up a box, due again after that
+// box's interval. Study boards are built from the pairs
+// due for review, then new ones, shuffled with the
+// engine's seeded random so a seed picks the same board
+// again. Loads as a plain <script> after game-engine.js
+// (window.StudyScheduler) or with require().
+// =====================================================
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./game-engine"));
+  } else {
+    root.StudyScheduler = factory(root.GameEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (GameEngine) {
+  "use strict";
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const BOX_INTERVAL_DAYS = [0, 1, 2, 4, 8]; // days until a pair in each box is due again
+  const LEARNED_BOX = 3; // pairs this far up count as learned
+
+  /**
+   * The key a pair is stored under, the same whichever of its two cards
+   * comes first: its text side (the country name) when only one side is
+   * text, otherwise both values in sorted order.
+   * @param {Array<Object>} cards - Both cards of the pair
+   * @returns {string}
+   */
+  function getPairKey(cards) {
+    const texts = cards.filter((card) => card.kind === "text");
+    if (texts.length === 1) return texts[0].value;
+    return cards.map((card) => card.value).sort().join(" | ");
+  }
+
+  function createEntry() {
+    return { box: 0, due: 0, mistakes: 0, reviews: 0 };
+  }
+
+  /**
+   * A wrong match involving the pair: back to the first box, due now
+   * @param {Object|undefined} entry
+   * @param {number} now - ms timestamp
+   * @returns {Object} New entry
+   */
+  function recordMistake(entry, now) {
+    const current = { ...createEntry(), ...entry };
+    return { ...current, box: 0, due: now, mistakes: current.mistakes + 1 };
+  }
+
+  /**
+   * The pair was on a finished study board. Clean means it was matched
+   * without any mistake on that board, which moves it up a box.
+   * @param {Object|undefined} entry
+   * @param {boolean} clean
+   * @param {number} now - ms timestamp
+   * @returns {Object} New entry
+   */
+  function recordReview(entry, clean, now) {
+    const current = { ...createEntry(), ...entry };
+    const box = clean ? Math.min(current.box + 1, BOX_INTERVAL_DAYS.length - 1) : 0;
+    return {
+      ...current,
+      box,
+      due: now + BOX_INTERVAL_DAYS[box] * DAY_MS,
+      reviews: current.reviews + 1,
+    };
+  }
+
+  /**
+   * "new" (never studied or missed), "learned" (high enough up the
+   * boxes) or "shaky" (everything in between)
+   * @param {Object|undefined} entry
+   * @returns {string}
+   */
+  function getMastery(entry) {
+    if (!entry || (entry.reviews === 0 && entry.mistakes === 0)) return "new";
+    return entry.box >= LEARNED_BOX ? "learned" : "shaky";
+  }
+
+  /**
+   * Keys for the next study board: pairs due for review (lowest box, then
+   * longest overdue, first), then new pairs in random order, then the
+   * pairs due soonest.
+   * @param {Array<string>} keys - Every pair that can be studied
+   * @param {Object} entries - key -> entry
+   * @param {number} count - Pairs on the board
+   * @param {number} now - ms timestamp
+   * @param {number|string} [seed] - Orders the new pairs the same way every time
+   * @returns {Array<string>}
+   */
+  function pickBoard(keys, entries, count, now, seed = null) {
+    const byBoxThenDue = (a, b) =>
+      entries[a].box - entries[b].box || entries[a].due - entries[b].due;
+    const studied = keys.filter((key) => getMastery(entries[key]) !== "new");
+    const due = studied.filter((key) => entries[key].due <= now).sort(byBoxThenDue);
+    const later = studied
+      .filter((key) => entries[key].due > now)
+      .sort((a, b) => entries[a].due - entries[b].due);
+    const fresh = GameEngine.shuffle(
+      keys.filter((key) => getMastery(entries[key]) === "new"),
+      seed === null ? Math.random : GameEngine.createSeededRandom(seed)
+    );
+    return due.concat(fresh, later).slice(0, count);
+  }
+
+  return {
+    BOX_INTERVAL_DAYS,
+    LEARNED_BOX,
+    getPairKey,
+    createEntry,
+    recordMistake,
+    recordReview,
+    getMastery,
+    pickBoard,
+  };
+});
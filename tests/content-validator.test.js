@@ -0,0 +1,191 @@
+const ContentValidator = require("../content-validator.js");
+const gameContent = require("../gameContent.json");
+
+// Content with one pack; `pack` and `gameMode` override the defaults
+function contentWith(pack, gameMode = "textToText") {
+  return {
+    gameMode,
+    content: {
+      geo: {
+        level1: { pairs: [{ a: "Egypt", b: "Cairo" }, { a: "Kenya", b: "Nairobi" }] },
+        ...pack,
+      },
+    },
+  };
+}
+
+function issuesAt(issues, path) {
+  return issues.filter((issue) => issue.path === path);
+}
+
+describe("ContentValidator", () => {
+  test("finds nothing wrong with the shipped content", () => {
+    expect(ContentValidator.validateContent(gameContent)).toEqual([]);
+  });
+
+  test("reads pair shapes the way the engine does", () => {
+    const { getPairShape } = ContentValidator;
+    expect(getPairShape({ a: "x", b: "y" })).toBe("textToText");
+    expect(getPairShape({ a: "x", image: "x.png" })).toBe("textToImage");
+    expect(getPairShape({ a: "x", audio: "x.mp3" })).toBe("textToAudio");
+    expect(getPairShape({ firstImage: "x.png", secondImage: "y.png" })).toBe("imageToImage");
+    expect(getPairShape({ first: { value: "x" }, second: { value: "y" } })).toBe("custom");
+    expect(getPairShape({ a: "x" })).toBeNull();
+    expect(getPairShape(null)).toBeNull();
+  });
+
+  test("needs a content object", () => {
+    expect(ContentValidator.validateContent({})).toEqual([
+      { severity: "error", path: "content", message: expect.any(String) },
+    ]);
+  });
+
+  test("rejects unknown game modes", () => {
+    const issues = ContentValidator.validateContent(contentWith({ gameMode: "quiz" }, "puzzle"));
+    expect(issuesAt(issues, "gameMode")[0].severity).toBe("error");
+    expect(issuesAt(issues, "geo.gameMode")[0].severity).toBe("error");
+  });
+
+  test("needs levels with pairs", () => {
+    const noLevels = ContentValidator.validateContent({ content: { geo: { title: "Geo" } } });
+    expect(issuesAt(noLevels, "geo")[0].severity).toBe("error");
+
+    const noPairs = ContentValidator.validateContent(contentWith({ level2: { pairs: [] } }));
+    expect(issuesAt(noPairs, "geo.level2.pairs")[0].severity).toBe("error");
+  });
+
+  test("checks level settings", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith({
+        level2: { pairs: [{ a: "Ghana", b: "Accra" }], timer: -5, pairCount: 1.5, maxMismatches: 0 },
+        level3: { pairs: [{ a: "Mali", b: "Bamako" }], bonusTime: 10, pairCount: 3 },
+      })
+    );
+    expect(issuesAt(issues, "geo.level2.timer")[0].severity).toBe("error");
+    expect(issuesAt(issues, "geo.level2.pairCount")[0].severity).toBe("error");
+    expect(issuesAt(issues, "geo.level2.maxMismatches")[0].severity).toBe("error");
+    // Neither of these breaks the board
+    expect(issuesAt(issues, "geo.level3.bonusTime")[0].severity).toBe("warning");
+    expect(issuesAt(issues, "geo.level3.pairCount")[0].severity).toBe("warning");
+  });
+
+  test("checks pair counts against every level for reflex and daily boards", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith({
+        level2: { pairs: [{ a: "Ghana", b: "Accra" }] },
+        daily: { pairCount: 3 },
+        reflex: { pairCount: 4, reactionThresholds: [900] },
+      })
+    );
+    expect(issuesAt(issues, "geo.daily.pairCount")).toEqual([]);
+    expect(issuesAt(issues, "geo.reflex.pairCount")[0].severity).toBe("warning");
+    expect(issuesAt(issues, "geo.reflex.reactionThresholds")[0].severity).toBe("error");
+  });
+
+  test("flags pairs that no shape fits or that break the game mode", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith({
+        level2: { pairs: [{ a: "Ghana" }, { a: "Mali", image: "mali.png", imageAlt: "flag of Mali" }] },
+      })
+    );
+    expect(issuesAt(issues, "geo.level2.pairs[0]")[0].severity).toBe("error");
+    expect(issuesAt(issues, "geo.level2.pairs[1]")[0].message).toMatch(/textToImage/);
+  });
+
+  test("lets every pair use its own shape in mixed mode", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith(
+        { level2: { pairs: [{ a: "Mali", image: "mali.png", imageAlt: "flag of Mali" }] } },
+        "mixed"
+      )
+    );
+    expect(issues).toEqual([]);
+  });
+
+  test("needs a non-empty value on each side of a card", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith({ level2: { pairs: [{ a: " ", b: 7 }] } })
+    );
+    expect(issuesAt(issues, "geo.level2.pairs[0].a")[0].severity).toBe("error");
+    expect(issuesAt(issues, "geo.level2.pairs[0].b")[0].severity).toBe("error");
+  });
+
+  test("warns about media without alt text", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith(
+        {
+          level2: {
+            pairs: [
+              { a: "Mali", image: "mali.png" },
+              { first: { kind: "audio", value: "mali.mp3" }, second: { value: "Bamako" } },
+            ],
+          },
+        },
+        "mixed"
+      )
+    );
+    expect(issuesAt(issues, "geo.level2.pairs[0].imageAlt")[0].severity).toBe("warning");
+    expect(issuesAt(issues, "geo.level2.pairs[1].first.alt")[0].severity).toBe("warning");
+    expect(issuesAt(issues, "geo.level2.pairs[1].second.alt")).toEqual([]); // Text needs none
+  });
+
+  test("warns about a label used by two pairs of a subject", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith({ level2: { pairs: [{ a: "Egypt", b: "Giza" }] } })
+    );
+    expect(issues).toEqual([
+      {
+        severity: "warning",
+        path: "geo.level2.pairs[0]",
+        message: '"Egypt" is also used at geo.level1.pairs[0].',
+      },
+    ]);
+  });
+
+  test("warns about facts the review screen cannot show", () => {
+    const issues = ContentValidator.validateContent(
+      contentWith({
+        level2: {
+          pairs: [
+            { a: "Ghana", b: "Accra", facts: { capital: "Accra", anthem: "God Bless Our Homeland", funFact: "" } },
+            { a: "Mali", b: "Bamako", facts: ["Bamako"] },
+          ],
+        },
+      })
+    );
+    expect(issuesAt(issues, "geo.level2.pairs[0].facts.capital")).toEqual([]);
+    expect(issuesAt(issues, "geo.level2.pairs[0].facts.anthem")[0].severity).toBe("warning");
+    expect(issuesAt(issues, "geo.level2.pairs[0].facts.funFact")[0].severity).toBe("warning");
+    expect(issuesAt(issues, "geo.level2.pairs[1].facts")[0].severity).toBe("warning");
+  });
+
+  test("reports every media file that cannot be loaded", async () => {
+    const content = contentWith(
+      {
+        level2: {
+          pairs: [
+            { a: "Mali", image: "mali.png", imageAlt: "flag of Mali" },
+            { firstImage: "ghana.png", secondImage: "accra.png" },
+          ],
+        },
+      },
+      "mixed"
+    );
+    expect(ContentValidator.collectAssets(content).map((asset) => asset.url)).toEqual([
+      "mali.png",
+      "ghana.png",
+      "accra.png",
+    ]);
+
+    const missing = ["ghana.png", "accra.png"];
+    const issues = await ContentValidator.checkAssets(content, async (url) => {
+      if (url === "accra.png") throw new Error("offline");
+      return !missing.includes(url);
+    });
+    expect(issues.map((issue) => issue.path)).toEqual([
+      "geo.level2.pairs[1].firstImage",
+      "geo.level2.pairs[1].secondImage",
+    ]);
+    expect(issues.every((issue) => issue.severity === "error")).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+const GameClock = require("../game-clock.js");
+const { advance } = require("./helpers/engine.js");
+
+function createClock() {
+  const timers = GameClock.createManualTimers();
+  const clock = new GameClock(timers);
+  const log = [];
+  return { clock, timers, log };
+}
+
+describe("GameClock", () => {
+  test("keeps what is left of a timeout across a pause", () => {
+    const { clock, timers, log } = createClock();
+    clock.setTimeout(() => log.push(timers.now()), 1000);
+
+    advance(timers, 400);
+    clock.pause();
+    advance(timers, 5000);
+    expect(log).toEqual([]);
+    clock.resume();
+    advance(timers, 599);
+    expect(log).toEqual([]);
+    advance(timers, 1);
+    expect(log).toEqual([6000]);
+  });
+
+  test("re-arms an interval for its full delay after each run", () => {
+    const { clock, timers, log } = createClock();
+    const id = clock.setInterval(() => log.push(timers.now()), 300);
+
+    advance(timers, 1000);
+    expect(log).toEqual([300, 600, 900]);
+    clock.pause();
+    advance(timers, 2000);
+    clock.resume();
+    advance(timers, 200);
+    expect(log).toEqual([300, 600, 900, 3200]);
+    clock.clearInterval(id);
+    advance(timers, 1000);
+    expect(log).toHaveLength(4);
+    expect(clock.fired).toBe(4);
+  });
+
+  test("starts tasks added while paused on resume", () => {
+    const { clock, timers, log } = createClock();
+    clock.pause();
+    clock.setTimeout(() => log.push(timers.now()), 100);
+
+    advance(timers, 1000);
+    expect(log).toEqual([]);
+    clock.resume();
+    advance(timers, 100);
+    expect(log).toEqual([1100]);
+  });
+
+  test("cancels everything with clearAll", () => {
+    const { clock, timers, log } = createClock();
+    clock.setTimeout(() => log.push("timeout"), 100);
+    clock.setInterval(() => log.push("interval"), 50);
+    clock.pause();
+    clock.setTimeout(() => log.push("added while paused"), 10);
+
+    clock.clearAll();
+    clock.resume();
+    advance(timers, 1000);
+    expect(log).toEqual([]);
+    expect(timers.nextDue()).toBeNull();
+  });
+
+  test("leaves paused time out of now()", () => {
+    const { clock, timers } = createClock();
+    advance(timers, 500);
+    clock.pause();
+    advance(timers, 2000);
+    expect(clock.now()).toBe(500);
+    clock.resume();
+    advance(timers, 100);
+    expect(clock.now()).toBe(600);
+  });
+});
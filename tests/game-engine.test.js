@@ -0,0 +1,396 @@
+const { createEngine, advance } = require("./helpers/engine.js");
+
+const PAIRS = [
+  { a: "Egypt", b: "Cairo" },
+  { a: "Kenya", b: "Nairobi" },
+  { a: "Ghana", b: "Accra" },
+];
+
+function startBoard(engine, config = {}) {
+  engine.setup({ mode: "campaign", pairs: PAIRS, seed: 42, ...config });
+  engine.start();
+}
+
+function findPair(engine) {
+  const first = engine.state.cards.find((card) => !card.matched);
+  return [first, engine.getPartner(first)];
+}
+
+function findMismatch(engine) {
+  const first = engine.state.cards.find((card) => !card.matched);
+  const second = engine.state.cards.find((card) => !card.matched && card.pairId !== first.pairId);
+  return [first, second];
+}
+
+describe("GameEngine", () => {
+  test("deals the same board for the same seed", () => {
+    const { engine: first } = createEngine();
+    const { engine: second } = createEngine();
+    first.setup({ mode: "campaign", pairs: PAIRS, seed: "daily-2026-10-19" });
+    second.setup({ mode: "campaign", pairs: PAIRS, seed: "daily-2026-10-19" });
+
+    expect(first.state.cards).toHaveLength(6);
+    expect(first.state.cards).toEqual(second.state.cards);
+    expect(first.getSetup().seed).toBe("daily-2026-10-19");
+  });
+
+  test("ignores flips until the board is started", () => {
+    const { engine } = createEngine();
+    engine.setup({ mode: "campaign", pairs: PAIRS, seed: 1 });
+
+    expect(engine.flip(0)).toBe(false);
+    engine.start();
+    expect(engine.flip(0)).toBe(true);
+    expect(engine.flip(0)).toBe(false); // Already face up
+  });
+
+  test("matches a pair and wins once every pair is found", () => {
+    const { engine } = createEngine();
+    const wins = [];
+    engine.on("win", (win) => wins.push(win));
+    startBoard(engine, { level: 1 });
+
+    const [first, second] = findPair(engine);
+    engine.flip(first.id);
+    engine.flip(second.id);
+    expect(first.matched && second.matched).toBe(true);
+    expect(engine.state.matchedPairs).toBe(1);
+    expect(engine.state.turns).toBe(1);
+    expect(engine.state.combo).toBe(1);
+
+    while (engine.state.status === "playing") {
+      const [a, b] = findPair(engine);
+      engine.flip(a.id);
+      engine.flip(b.id);
+    }
+    expect(engine.state.status).toBe("won");
+    expect(wins).toEqual([{ mode: "campaign", level: 1, turns: 3 }]);
+  });
+
+  test("turns a mismatch back over after the delay", () => {
+    const { engine, timers, events } = createEngine();
+    startBoard(engine);
+
+    const [first, second] = findMismatch(engine);
+    engine.flip(first.id);
+    engine.flip(second.id);
+    expect(engine.state.mismatches).toBe(1);
+    expect(engine.state.combo).toBe(0);
+    expect(engine.flip(engine.state.cards.find((card) => !card.faceUp).id)).toBe(false); // Locked
+
+    advance(timers, engine.options.mismatchDelay - 1);
+    expect(first.faceUp).toBe(true);
+    advance(timers, 1);
+    expect(first.faceUp).toBe(false);
+    expect(second.faceUp).toBe(false);
+    expect(events).toContain("unflip");
+    expect(engine.state.locked).toBe(false);
+  });
+
+  test("loses after too many mismatches", () => {
+    const { engine, timers } = createEngine();
+    const losses = [];
+    engine.on("lose", ({ reason }) => losses.push(reason));
+    startBoard(engine, { maxMismatches: 2 });
+
+    for (let i = 0; i < 2; i++) {
+      const [first, second] = findMismatch(engine);
+      engine.flip(first.id);
+      engine.flip(second.id);
+      advance(timers, engine.options.mismatchDelay);
+    }
+    expect(engine.state.status).toBe("lost");
+    expect(losses).toEqual(["mismatches"]);
+  });
+
+  test("passes play on after a mismatch on a hot-seat board", () => {
+    const { engine, timers } = createEngine();
+    startBoard(engine, { mode: "hotseat", players: 2 });
+
+    const [a, b] = findPair(engine);
+    engine.flip(a.id);
+    engine.flip(b.id);
+    expect(engine.state.scores).toEqual([1, 0]);
+    expect(engine.state.currentPlayer).toBe(0); // A match goes again
+
+    const [first, second] = findMismatch(engine);
+    engine.flip(first.id);
+    engine.flip(second.id);
+    advance(timers, engine.options.mismatchDelay);
+    expect(engine.state.currentPlayer).toBe(1);
+  });
+
+  test("counts the level timer down and loses on timeout", () => {
+    const { engine, timers } = createEngine();
+    const ticks = [];
+    const losses = [];
+    engine.on("tick", ({ timeRemaining }) => ticks.push(timeRemaining));
+    engine.on("lose", ({ reason }) => losses.push(reason));
+    startBoard(engine, { timeLimit: 3 });
+
+    advance(timers, 2000);
+    expect(engine.state.timeRemaining).toBe(1);
+    advance(timers, 1000);
+    expect(ticks).toEqual([3, 2, 1, 0]);
+    expect(engine.state.status).toBe("lost");
+    expect(losses).toEqual(["timeout"]);
+  });
+
+  test("stops the timer while paused", () => {
+    const { engine, timers } = createEngine();
+    startBoard(engine, { timeLimit: 5 });
+
+    advance(timers, 1000);
+    engine.pause();
+    expect(engine.flip(0)).toBe(false);
+    advance(timers, 10000);
+    expect(engine.state.timeRemaining).toBe(4);
+    engine.resume();
+    advance(timers, 1000);
+    expect(engine.state.timeRemaining).toBe(3);
+  });
+
+  test("reopens a board lost on time with addTime", () => {
+    const { engine, timers } = createEngine();
+    startBoard(engine, { timeLimit: 2 });
+
+    expect(engine.addTime(5)).toBe(false); // Only a lost board can take more time
+    const [first] = findMismatch(engine);
+    engine.flip(first.id);
+    advance(timers, 2000);
+    expect(engine.state.status).toBe("lost");
+
+    expect(engine.addTime(0)).toBe(false);
+    expect(engine.addTime(5)).toBe(true);
+    expect(engine.state.status).toBe("playing");
+    expect(engine.state.timeRemaining).toBe(5);
+    expect(first.faceUp).toBe(false);
+    advance(timers, 5000);
+    expect(engine.state.status).toBe("lost");
+  });
+
+  test("does not add time to a board without a time limit", () => {
+    const { engine, timers } = createEngine();
+    startBoard(engine, { maxMismatches: 1 });
+    const [first, second] = findMismatch(engine);
+    engine.flip(first.id);
+    engine.flip(second.id);
+    advance(timers, engine.options.mismatchDelay);
+
+    expect(engine.state.status).toBe("lost");
+    expect(engine.addTime(5)).toBe(false);
+  });
+
+  describe("reflex mode", () => {
+    const REFLEX_PAIRS = Array.from({ length: 8 }, (_, i) => ({ a: `Q${i}`, b: `A${i}` }));
+
+    function startReflex(options = {}) {
+      const created = createEngine(options);
+      created.engine.setup({ mode: "reflex", pairs: REFLEX_PAIRS, seed: 9 });
+      created.engine.start();
+      nextChallenge(created.engine, created.timers);
+      return created;
+    }
+
+    function nextChallenge(engine, timers) {
+      while (engine.state.reflexCardId === null && timers.nextDue() !== null) timers.runNext();
+      return engine.getCard(engine.state.reflexCardId);
+    }
+
+    // Answer the open challenge after `ms`, then wait for the next one
+    function answer(engine, timers, { right = true, ms = 100 } = {}) {
+      const challenge = engine.getCard(engine.state.reflexCardId);
+      const response = right
+        ? engine.getPartner(challenge)
+        : engine.state.cards.find((card) => !card.faceUp && card.pairId !== challenge.pairId);
+      advance(timers, ms);
+      engine.flip(response.id);
+      if (!right) advance(timers, engine.options.mismatchDelay); // The challenge stays open until then
+      nextChallenge(engine, timers);
+    }
+
+    test("speeds the window up after a hit and eases it off after a miss or a timeout", () => {
+      const { engine, timers } = startReflex();
+      expect(engine.state.reflexWindow).toBe(4000);
+
+      answer(engine, timers);
+      expect(engine.state.reflexWindow).toBe(3400);
+      answer(engine, timers, { right: false });
+      expect(engine.state.reflexWindow).toBe(4250);
+      const timedOut = [];
+      engine.on("reflexTimeout", ({ card }) => timedOut.push(card.id));
+      advance(timers, engine.state.reflexWindow);
+      expect(timedOut).toHaveLength(1);
+      expect(engine.state.reflexWindow).toBe(5313);
+      expect(engine.state.combo).toBe(0);
+    });
+
+    test("keeps the window between its limits", () => {
+      const { engine, timers } = startReflex();
+      for (let hit = 0; hit < 7; hit++) answer(engine, timers);
+      expect(engine.state.reflexWindow).toBe(engine.options.reflexMinWindow);
+
+      const { engine: slow, timers: slowTimers } = startReflex({ reflexWindow: 5000 });
+      answer(slow, slowTimers, { right: false });
+      expect(slow.state.reflexWindow).toBe(6000);
+      const timedOut = [];
+      slow.on("reflexTimeout", ({ card }) => timedOut.push(card.id));
+      advance(slowTimers, slow.state.reflexWindow);
+      expect(timedOut).toHaveLength(1);
+      expect(slow.state.reflexWindow).toBe(slow.options.reflexMaxWindow);
+    });
+
+    test("scores hits by the combo, up to maxComboMultiplier", () => {
+      const { engine, timers } = startReflex({ maxComboMultiplier: 2 });
+      const points = [];
+      engine.on("match", (match) => points.push(match.points));
+
+      answer(engine, timers);
+      answer(engine, timers);
+      answer(engine, timers);
+      answer(engine, timers, { right: false });
+      answer(engine, timers);
+      expect(points).toEqual([10, 20, 20, 10]);
+      expect(engine.state.reflexScore).toBe(60);
+    });
+
+    test("leaves paused time out of reaction times", () => {
+      const { engine, timers } = startReflex();
+      const challenge = engine.getCard(engine.state.reflexCardId);
+
+      advance(timers, 300);
+      engine.pause();
+      advance(timers, 5000);
+      engine.resume();
+      advance(timers, 200);
+      engine.flip(engine.getPartner(challenge).id);
+      expect(engine.state.reactionTimes).toEqual([500]);
+      expect(engine.getReflexStats()).toMatchObject({ averageReaction: 500, bestReaction: 500 });
+    });
+  });
+
+  describe("hints", () => {
+    test("are limited to the uses allowed", () => {
+      const { engine } = createEngine();
+      startBoard(engine, { hintLimits: { peek: 1 } });
+
+      expect(engine.canUseHint("reveal")).toBe(false);
+      expect(engine.canUseHint("freeze")).toBe(false);
+      expect(engine.useHint("unknown")).toBe(false);
+      expect(engine.useHint("peek")).toBe(true);
+      expect(engine.state.hintsUsed.peek).toBe(1);
+      expect(engine.canUseHint("peek")).toBe(false);
+    });
+
+    test("reveal shows the partner of the face-up card", () => {
+      const { engine } = createEngine();
+      const hints = [];
+      engine.on("hint", (hint) => hints.push(hint));
+      startBoard(engine, { hintLimits: { reveal: 1 } });
+
+      expect(engine.canUseHint("reveal")).toBe(false); // Needs one card face up
+      const [first, second] = findPair(engine);
+      engine.flip(first.id);
+      expect(engine.useHint("reveal")).toBe(true);
+      expect(hints).toEqual([
+        { type: "reveal", cards: [second], duration: engine.options.hintRevealTime },
+      ]);
+    });
+
+    test("peek locks the board while every unmatched card shows", () => {
+      const { engine, timers } = createEngine();
+      const hints = [];
+      engine.on("hint", (hint) => hints.push(hint));
+      startBoard(engine, { hintLimits: { peek: 1 } });
+
+      engine.useHint("peek");
+      expect(hints[0].cards).toHaveLength(6);
+      expect(engine.flip(0)).toBe(false);
+      advance(timers, engine.options.hintPeekTime);
+      expect(engine.flip(0)).toBe(true);
+    });
+
+    test("freeze stops the level timer for a while", () => {
+      const { engine, timers } = createEngine();
+      startBoard(engine, { timeLimit: 30, hintLimits: { freeze: 1 } });
+
+      expect(engine.useHint("freeze")).toBe(true);
+      advance(timers, engine.options.hintFreezeTime - 1);
+      expect(engine.state.timeRemaining).toBe(30);
+      advance(timers, 1001);
+      expect(engine.state.timeRemaining).toBe(28);
+    });
+  });
+
+  describe("serialize and restore", () => {
+    test("rebuild the board and its progress", () => {
+      const { engine, timers } = createEngine();
+      startBoard(engine, { level: 2, timeLimit: 60, hintLimits: { reveal: 2 } });
+      const [a, b] = findPair(engine);
+      engine.flip(a.id);
+      engine.flip(b.id);
+      const [first] = findMismatch(engine);
+      engine.flip(first.id);
+      engine.useHint("reveal");
+      advance(timers, 5000);
+
+      const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+      const { engine: restored, timers: restoredTimers } = createEngine();
+      restored.restore(snapshot);
+      expect(restored.state.status).toBe("ready");
+      expect(restored.getSetup()).toBeNull();
+      restored.start();
+
+      expect(restored.state.level).toBe(2);
+      expect(restored.state.matchedPairs).toBe(1);
+      expect(restored.state.turns).toBe(1);
+      expect(restored.state.timeRemaining).toBe(55);
+      expect(restored.state.hintsUsed.reveal).toBe(1);
+      expect(restored.state.seed).toBe(42);
+      expect(restored.getPlayTime()).toBe(5000);
+      expect(restored.state.cards.map((card) => card.value)).toEqual(
+        engine.state.cards.map((card) => card.value)
+      );
+      // Matched cards stay up; the half-turned card comes back face down
+      expect(restored.getCard(a.id).faceUp).toBe(true);
+      expect(restored.getCard(first.id).faceUp).toBe(false);
+
+      advance(restoredTimers, 1000);
+      expect(restored.state.timeRemaining).toBe(54);
+    });
+
+    test("carry the players' scores on a hot-seat board", () => {
+      const { engine } = createEngine();
+      startBoard(engine, { mode: "hotseat", players: 3 });
+      const [a, b] = findPair(engine);
+      engine.flip(a.id);
+      engine.flip(b.id);
+
+      const { engine: restored } = createEngine();
+      restored.restore(engine.serialize());
+      expect(restored.state.scores).toEqual([1, 0, 0]);
+      expect(restored.state.currentPlayer).toBe(0);
+    });
+
+    test("pass play on for a hot-seat mismatch saved before it turned back", () => {
+      const { engine } = createEngine();
+      startBoard(engine, { mode: "hotseat", players: 3 });
+      const [first, second] = findMismatch(engine);
+      engine.flip(first.id);
+      engine.flip(second.id);
+
+      const { engine: restored } = createEngine();
+      restored.restore(engine.serialize());
+      expect(restored.state.currentPlayer).toBe(1);
+      expect(restored.getCard(first.id).faceUp).toBe(false);
+    });
+  });
+
+  test("reports every change for persistence", () => {
+    const { engine, events } = createEngine();
+    startBoard(engine);
+    engine.flip(0);
+
+    expect(events).toEqual(["deal", "start", "input", "flip"]);
+  });
+});
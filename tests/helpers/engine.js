@@ -0,0 +1,21 @@
+// Shared by the engine, replay and clock tests
+const GameClock = require("../../game-clock.js");
+const GameEngine = require("../../game-engine.js");
+
+// An engine on manual timers, so time only moves when the test says so
+function createEngine(options = {}) {
+  const timers = GameClock.createManualTimers();
+  const engine = new GameEngine({ timers, ...options });
+  const events = [];
+  engine.on("change", ({ type }) => events.push(type));
+  return { engine, timers, events };
+}
+
+// Move manual timers on by `ms`, running whatever falls due on the way
+function advance(timers, ms) {
+  const until = timers.now() + ms;
+  while (timers.nextDue() !== null && timers.nextDue() <= until) timers.runNext();
+  timers.setNow(until);
+}
+
+module.exports = { createEngine, advance };
@@ -0,0 +1,37 @@
+const ProgressStore = require("../progress-store.js");
+
+function createStorage(saved = {}) {
+  const items = { ...saved };
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = value),
+  };
+}
+
+describe("ProgressStore", () => {
+  test("keeps the last and best game of each pack apart", () => {
+    const store = new ProgressStore(createStorage());
+    store.recordGame("geo", { turns: 30, xp: 200 });
+    store.recordGame("geo", { turns: 40, xp: 150 });
+    store.recordGame("capitals", { turns: 25, xp: 90 });
+
+    expect(store.getPack("geo").lastGame).toMatchObject({ turns: 40, xp: 150 });
+    expect(store.getPack("geo").bestGame).toMatchObject({ turns: 30, xp: 200 });
+    expect(store.getPack("capitals").bestGame).toMatchObject({ turns: 25, xp: 90 });
+    expect(store.getPack("art").lastGame).toBeNull();
+  });
+
+  test("moves games saved for all packs into the pack they were played in", () => {
+    const game = { pack: "geo", turns: 30, xp: 200, date: "2026-10-01T10:00:00.000Z" };
+    const storage = createStorage({
+      brainmatch_progress: JSON.stringify({ version: 1, lastGame: game, bestGame: game, packs: {} }),
+    });
+    const store = new ProgressStore(storage);
+
+    expect(store.data.lastGame).toBeUndefined();
+    expect(store.getPack("geo").lastGame).toEqual({ turns: 30, xp: 200, date: game.date });
+    expect(store.getPack("geo").bestGame).toEqual({ turns: 30, xp: 200, date: game.date });
+    expect(store.getPack("capitals").bestGame).toBeNull();
+  });
+});
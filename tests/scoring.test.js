@@ -0,0 +1,86 @@
+const Scoring = require("../scoring.js");
+
+// A level entry with `count` text pairs
+function level(count, extra = {}) {
+  const pairs = Array.from({ length: count }, (_, i) => ({ a: `a${i}`, b: `b${i}` }));
+  return { pairs, ...extra };
+}
+
+describe("Scoring", () => {
+  test("counts the pairs a level deals", () => {
+    expect(Scoring.getBoardPairCount(level(8))).toBe(8);
+    expect(Scoring.getBoardPairCount(level(8, { pairCount: 6 }))).toBe(6);
+    expect(Scoring.getBoardPairCount(level(4, { pairCount: 6 }))).toBe(4);
+    expect(Scoring.getBoardPairCount({})).toBe(0);
+  });
+
+  test("scales the default rules with the board", () => {
+    const rules = Scoring.getLevelRules(level(8));
+    expect(rules.starThresholds).toEqual([12, 16]);
+    expect(rules.xpTiers).toEqual([{ maxTurns: 12, xp: 40 }, { maxTurns: 16, xp: 32 }, { xp: 24 }]);
+  });
+
+  test("merges a level's scoring block over the defaults", () => {
+    const rules = Scoring.getLevelRules(
+      level(8, {
+        scoring: {
+          starThresholds: [10, 14],
+          hints: { peek: { xpCost: 10 } },
+          comboBonus: { xp: 5 },
+        },
+      })
+    );
+    expect(rules.starThresholds).toEqual([10, 14]);
+    expect(rules.xpTiers[0].xp).toBe(40);
+    expect(rules.hints.peek).toEqual({ limit: 1, xpCost: 10 });
+    expect(rules.hints.reveal).toEqual({ limit: 2, xpCost: 2 });
+    expect(rules.comboBonus).toEqual({ every: 3, xp: 5 });
+  });
+
+  test("rates turns with stars", () => {
+    const rules = Scoring.getLevelRules(level(8));
+    expect(Scoring.calculateStars(rules, 8)).toBe(3);
+    expect(Scoring.calculateStars(rules, 12)).toBe(3);
+    expect(Scoring.calculateStars(rules, 13)).toBe(2);
+    expect(Scoring.calculateStars(rules, 40)).toBe(1);
+  });
+
+  test("adds the combo bonus to the XP tier and takes off hint costs", () => {
+    const rules = Scoring.getLevelRules(level(8));
+    expect(Scoring.calculateXP(rules, 10)).toBe(40);
+    expect(Scoring.calculateXP(rules, 14)).toBe(32);
+    expect(Scoring.calculateXP(rules, 30)).toBe(24);
+    expect(Scoring.calculateComboBonus(rules, 7)).toBe(4);
+    expect(Scoring.calculateHintCost(rules, { reveal: 2, peek: 1, unknown: 3 })).toBe(8);
+    expect(Scoring.calculateXP(rules, 10, { bestCombo: 7, hintsUsed: { reveal: 2, peek: 1 } })).toBe(36);
+  });
+
+  test("never gives negative XP", () => {
+    const rules = Scoring.getLevelRules(level(1, { scoring: { hints: { peek: { xpCost: 50 } } } }));
+    expect(Scoring.calculateXP(rules, 1, { hintsUsed: { peek: 1 } })).toBe(0);
+  });
+
+  test("turns the combo bonus off when every is 0", () => {
+    const rules = Scoring.getLevelRules(level(8, { scoring: { comboBonus: { every: 0 } } }));
+    expect(Scoring.calculateComboBonus(rules, 8)).toBe(0);
+  });
+
+  test("rates the campaign's total XP against the final-score bands", () => {
+    const bands = Scoring.defaultFinalScoreBands([level(8), level(4)]);
+    expect(bands).toEqual([36, 18]);
+    expect(Scoring.calculateFinalStars(bands, 60)).toBe(3);
+    expect(Scoring.calculateFinalStars(bands, 20)).toBe(2);
+    expect(Scoring.calculateFinalStars(bands, 5)).toBe(1);
+  });
+
+  test("rates a reflex round by its moves and its reaction speed", () => {
+    const round = (moves, averageReaction) => ({ moves, pairCount: 8, averageReaction });
+    expect(Scoring.calculateReflexStars(round(8, 900))).toBe(3);
+    expect(Scoring.calculateReflexStars(round(12, 900))).toBe(2);
+    expect(Scoring.calculateReflexStars(round(13, 900))).toBe(1);
+    expect(Scoring.calculateReflexStars(round(8, 2000))).toBe(2);
+    expect(Scoring.calculateReflexStars(round(8, 3000))).toBe(1);
+    expect(Scoring.calculateReflexStars(round(8, null))).toBe(3);
+    expect(Scoring.calculateReflexStars(round(8, 900), [800, 1000])).toBe(2);
+  });
+});
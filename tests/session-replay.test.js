@@ -0,0 +1,188 @@
+const GameClock = require("../game-clock.js");
+const GameEngine = require("../game-engine.js");
+const SessionReplay = require("../session-replay.js");
+const { createEngine, advance } = require("./helpers/engine.js");
+
+const PAIRS = [
+  { a: "Egypt", b: "Cairo" },
+  { a: "Kenya", b: "Nairobi" },
+  { a: "Ghana", b: "Accra" },
+  { a: "Mali", b: "Bamako" },
+];
+
+// Everything a replay has to reproduce
+function outcome(engine) {
+  const { status, turns, matchedPairs, mismatches, reflexScore, reactionTimes } = engine.state;
+  return { status, turns, matchedPairs, mismatches, reflexScore, reactionTimes };
+}
+
+// Plays a reflex round: answers some challenges, misses some, lets some time out
+function playReflexRound(engine, timers) {
+  let round = 0;
+  while (engine.state.status === "playing" && timers.nextDue() !== null) {
+    const challenge = engine.getCard(engine.state.reflexCardId);
+    if (!challenge) {
+      timers.runNext();
+      continue;
+    }
+    round++;
+    if (round % 5 === 0) {
+      advance(timers, engine.state.reflexWindow); // Timed out
+    } else if (round % 3 === 0) {
+      const wrong =
+        engine.state.cards.find((card) => !card.faceUp && card.pairId !== challenge.pairId) ||
+        engine.getPartner(challenge); // Only its partner is left
+      advance(timers, 300);
+      engine.flip(wrong.id);
+    } else {
+      advance(timers, 200 + round * 10);
+      engine.flip(engine.getPartner(challenge).id);
+      if (round === 4) {
+        engine.pause();
+        advance(timers, 5000);
+        engine.resume();
+      }
+    }
+  }
+}
+
+describe("SessionRecorder", () => {
+  test("records the setup and every input of a board", () => {
+    const { engine } = createEngine();
+    const recorder = new SessionReplay.SessionRecorder(engine, { getInfo: () => ({ pack: "geo" }) });
+    engine.setup({ mode: "campaign", pairs: PAIRS, level: 1, seed: 5 });
+    engine.start();
+    engine.flip(0);
+    engine.flip(1);
+
+    const { session } = recorder;
+    expect(session.version).toBe(SessionReplay.VERSION);
+    expect(session.info).toEqual({ pack: "geo" });
+    expect(session.setup).toEqual(engine.getSetup());
+    expect(session.events.map(({ type, cardId }) => ({ type, cardId }))).toEqual([
+      { type: "flip", cardId: 0 },
+      { type: "flip", cardId: 1 },
+    ]);
+    expect(SessionReplay.validateSession(session)).toBeNull();
+  });
+
+  test("stays off while disabled", () => {
+    const { engine } = createEngine();
+    const recorder = new SessionReplay.SessionRecorder(engine);
+    recorder.enabled = false;
+    engine.setup({ mode: "campaign", pairs: PAIRS, seed: 5 });
+    engine.start();
+
+    expect(recorder.session).toBeNull();
+  });
+
+  test("drops the last recording when a restored board starts", () => {
+    const { engine } = createEngine();
+    const recorder = new SessionReplay.SessionRecorder(engine);
+    engine.setup({ mode: "campaign", pairs: PAIRS, seed: 5 });
+    engine.start();
+    engine.flip(0);
+    const snapshot = engine.serialize();
+
+    engine.restore(snapshot);
+    engine.start();
+    engine.flip(1);
+    expect(recorder.session).toBeNull();
+  });
+});
+
+describe("SessionPlayer", () => {
+  test("steps a reflex round back to the same outcome", () => {
+    const { engine, timers } = createEngine();
+    const recorder = new SessionReplay.SessionRecorder(engine);
+    engine.setup({ mode: "reflex", pairs: PAIRS, seed: 3 });
+    engine.start();
+    playReflexRound(engine, timers);
+    const live = outcome(engine);
+    const session = JSON.parse(JSON.stringify(recorder.session));
+
+    const { engine: replayEngine } = createEngine();
+    const updates = [];
+    const player = new SessionReplay.SessionPlayer(replayEngine, session, {
+      onUpdate: () => updates.push(player.index),
+    });
+    player.load();
+    while (!player.isFinished) player.step();
+
+    expect(session.events.length).toBeGreaterThan(5);
+    expect(outcome(replayEngine)).toEqual(live);
+    expect(updates[updates.length - 1]).toBe(session.events.length);
+  });
+
+  test("plays in real time on the timers it is given", () => {
+    const { engine, timers } = createEngine();
+    const recorder = new SessionReplay.SessionRecorder(engine);
+    engine.setup({ mode: "campaign", pairs: PAIRS, timeLimit: 20 });
+    engine.start();
+    [[0, 1], [2, 3], [4, 5]].forEach(([first, second]) => {
+      advance(timers, 700);
+      engine.flip(first);
+      engine.flip(second);
+      advance(timers, engine.options.mismatchDelay);
+    });
+    const live = { ...outcome(engine), timeRemaining: engine.state.timeRemaining };
+
+    // Frames run when the test says so, standing in for real time
+    const frames = GameClock.createManualTimers();
+    const { engine: replayEngine } = createEngine();
+    const player = new SessionReplay.SessionPlayer(replayEngine, recorder.session, { timers: frames });
+    player.load();
+    player.speed = 4;
+    player.play();
+    while (frames.runNext()) {}
+
+    expect(player.isFinished).toBe(true);
+    expect(player.isPlaying).toBe(false);
+    expect({ ...outcome(replayEngine), timeRemaining: replayEngine.state.timeRemaining }).toEqual(live);
+  });
+
+  test("gives the clock its real timers back on close", () => {
+    const { engine } = createEngine();
+    const recorder = new SessionReplay.SessionRecorder(engine);
+    engine.setup({ mode: "campaign", pairs: PAIRS });
+    engine.start();
+
+    const replayEngine = new GameEngine();
+    const realTimers = replayEngine.clock.timers;
+    const player = new SessionReplay.SessionPlayer(replayEngine, recorder.session);
+    player.load();
+    expect(replayEngine.clock.timers.now).not.toBe(realTimers.now);
+    player.close();
+    expect(replayEngine.state.status).toBe("stopped");
+    expect(replayEngine.clock.timers.now()).toBeGreaterThan(1e12); // Date.now() again
+  });
+});
+
+describe("validateSession", () => {
+  const valid = () => ({
+    version: SessionReplay.VERSION,
+    setup: { mode: "campaign", pairs: PAIRS, seed: 1 },
+    events: [{ type: "flip", cardId: 0, t: 10, fired: 0 }],
+    end: { t: 20, fired: 0 },
+  });
+
+  test("accepts a well-formed recording", () => {
+    expect(SessionReplay.validateSession(valid())).toBeNull();
+  });
+
+  test.each([
+    ["not JSON", null, "not a recording"],
+    ["another version", { version: 99 }, "unsupported version 99"],
+    ["no pairs", { setup: { mode: "campaign", pairs: [], seed: 1 } }, "the recording has no board"],
+    ["no mode", { setup: { pairs: PAIRS, seed: 1 } }, "the recording has no game mode"],
+    ["an unknown mode", { setup: { mode: "arcade", pairs: PAIRS, seed: 1 } }, 'unknown game mode "arcade"'],
+    ["no seed", { setup: { mode: "daily", pairs: PAIRS } }, "the recording has no seed"],
+    ["no inputs", { events: null }, "the recording has no inputs"],
+    ["an unknown input", { events: [{ type: "shake", t: 0, fired: 0 }] }, "the recording has an unknown input"],
+    ["an untimed input", { events: [{ type: "flip", cardId: 0 }] }, "the recording has an unknown input"],
+    ["no end", { end: null }, "the recording has no end"],
+  ])("rejects a recording with %s", (_, change, problem) => {
+    const session = change === null ? null : { ...valid(), ...change };
+    expect(SessionReplay.validateSession(session)).toBe(problem);
+  });
+});
@@ -0,0 +1,196 @@
+const SoundEngine = require("../sound-engine.js");
+
+// A Web Audio stand-in whose decoding finishes when the test says so
+function createFakeAudio() {
+  const log = [];
+  const decodes = [];
+
+  class Param {
+    constructor() {
+      this.value = 1;
+    }
+    cancelScheduledValues() {}
+    setTargetAtTime(value) {
+      this.value = value;
+    }
+  }
+  class AudioNode {
+    connect() {}
+  }
+  class AudioContext {
+    constructor() {
+      this.state = "running";
+      this.currentTime = 0;
+      this.destination = new AudioNode();
+    }
+    createGain() {
+      const node = new AudioNode();
+      node.gain = new Param();
+      return node;
+    }
+    createMediaElementSource() {
+      return new AudioNode();
+    }
+    createBufferSource() {
+      const source = new AudioNode();
+      source.start = () => log.push(`start ${source.buffer}`);
+      source.stop = () => log.push(`stop ${source.buffer}`);
+      return source;
+    }
+    decodeAudioData(data) {
+      return new Promise((resolve, reject) => decodes.push({ url: data.url, resolve, reject }));
+    }
+  }
+  class Audio {
+    constructor(url) {
+      this.url = url;
+    }
+    addEventListener() {}
+    play() {
+      log.push(`element ${this.url}`);
+      return Promise.resolve();
+    }
+    pause() {}
+  }
+  const fetch = async (url) =>
+    url.startsWith("missing")
+      ? { ok: false, status: 404 }
+      : { ok: true, arrayBuffer: async () => ({ url }) };
+
+  // Finish decoding `url`, as a buffer named after it or as a failure
+  async function finishDecoding(url, ok = true) {
+    await flush();
+    const decode = decodes.find((pending) => pending.url === url);
+    if (ok) decode.resolve(`buffer:${url}`);
+    else decode.reject(new Error("EncodingError"));
+    await flush();
+  }
+
+  return { log, AudioContext, Audio, fetch, finishDecoding };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function createEngine(fake, options = {}) {
+  const problems = [];
+  const engine = new SoundEngine({
+    AudioContext: fake.AudioContext,
+    Audio: fake.Audio,
+    fetch: fake.fetch,
+    onProblem: (message, url) => {
+      expect(message).toContain(url);
+      problems.push(message);
+    },
+    ...options,
+  });
+  return { engine, problems };
+}
+
+describe("SoundEngine", () => {
+  test("plays a decoded effect straight away and ducks the music meanwhile", async () => {
+    const fake = createFakeAudio();
+    const { engine } = createEngine(fake);
+    engine.load({ flip: "flip.mp3" });
+    await fake.finishDecoding("flip.mp3");
+
+    engine.play("flip");
+    expect(fake.log).toEqual(["start buffer:flip.mp3"]);
+    expect(engine._duckGain.gain.value).toBe(0.4);
+  });
+
+  test("starts an effect played while it decodes once decoding finishes", async () => {
+    const fake = createFakeAudio();
+    const { engine } = createEngine(fake);
+    engine.load({ flip: "flip.mp3" });
+
+    expect(engine.play("flip")).not.toBeNull();
+    expect(fake.log).toEqual([]);
+    await fake.finishDecoding("flip.mp3");
+    expect(fake.log).toEqual(["start buffer:flip.mp3"]);
+  });
+
+  test("drops a queued play that was stopped first", async () => {
+    const fake = createFakeAudio();
+    const { engine } = createEngine(fake);
+    engine.load({ flip: "flip.mp3" });
+
+    engine.play("flip").stop();
+    await fake.finishDecoding("flip.mp3");
+    expect(fake.log).toEqual([]);
+  });
+
+  test("plays a file it cannot decode through an element", async () => {
+    const fake = createFakeAudio();
+    const { engine, problems } = createEngine(fake);
+    engine.load({ chime: "chime.ogg" });
+
+    engine.play("chime");
+    await fake.finishDecoding("chime.ogg", false);
+    engine.play("chime");
+    await flush();
+    expect(fake.log).toEqual(["element chime.ogg", "element chime.ogg"]);
+    expect(problems).toEqual([]); // The element reports it if it fails too
+  });
+
+  test("reports a file that cannot be loaded once and keeps it silent", async () => {
+    const fake = createFakeAudio();
+    const { engine, problems } = createEngine(fake);
+    await engine.load({ flip: "missing.mp3" });
+
+    engine.play("flip");
+    engine.play("flip");
+    await flush();
+    expect(fake.log).toEqual([]);
+    expect(problems).toEqual(['Sound "missing.mp3" could not be loaded (HTTP 404); it will stay silent.']);
+  });
+
+  test("reports music that could not be loaded once, even if it failed first", () => {
+    const fake = createFakeAudio();
+    const { engine, problems } = createEngine(fake);
+    const listeners = [];
+    const music = {
+      src: "music.mp3",
+      error: { code: 4 },
+      addEventListener: (type, listener) => listeners.push(listener),
+      play: () => Promise.resolve(),
+      pause() {},
+    };
+
+    engine.setMusic(music);
+    listeners.forEach((listener) => listener());
+    expect(problems).toEqual(['Sound "music.mp3" could not be loaded; it will stay silent.']);
+  });
+
+  test("keeps quiet about problems unless asked", async () => {
+    const fake = createFakeAudio();
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const { engine } = createEngine(fake, { onProblem: undefined });
+    await engine.load({ flip: "missing.mp3" });
+
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test("plays nothing while effects are muted", async () => {
+    const fake = createFakeAudio();
+    const { engine } = createEngine(fake);
+    engine.load({ flip: "flip.mp3" });
+    await fake.finishDecoding("flip.mp3");
+
+    engine.setEffectsVolume(0);
+    expect(engine.play("flip")).toBeNull();
+    engine.playClip("flip.mp3");
+    expect(fake.log).toEqual([]);
+    expect(engine._duckGain.gain.value).toBe(1);
+  });
+
+  test("uses elements without Web Audio", () => {
+    const fake = createFakeAudio();
+    const engine = new SoundEngine({ Audio: fake.Audio, fetch: fake.fetch });
+    engine.load({ flip: "flip.mp3" });
+
+    engine.play("flip");
+    engine.playClip("card.mp3");
+    expect(fake.log).toEqual(["element flip.mp3", "element card.mp3"]);
+  });
+});
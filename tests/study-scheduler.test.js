@@ -0,0 +1,89 @@
+const StudyScheduler = require("../study-scheduler.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19);
+
+describe("StudyScheduler", () => {
+  test("sends a pair back to the first box on a mistake", () => {
+    const entry = StudyScheduler.recordMistake({ box: 3, due: NOW + DAY_MS, mistakes: 1, reviews: 4 }, NOW);
+    expect(entry).toEqual({ box: 0, due: NOW, mistakes: 2, reviews: 4 });
+    expect(StudyScheduler.recordMistake(undefined, NOW)).toEqual({ box: 0, due: NOW, mistakes: 1, reviews: 0 });
+  });
+
+  test("moves a clean pair up a box, due after that box's interval", () => {
+    let entry = StudyScheduler.createEntry();
+    const dueDays = [];
+    for (let i = 0; i < 6; i++) {
+      entry = StudyScheduler.recordReview(entry, true, NOW);
+      dueDays.push((entry.due - NOW) / DAY_MS);
+    }
+    expect(dueDays).toEqual([1, 2, 4, 8, 8, 8]);
+    expect(entry.reviews).toBe(6);
+
+    entry = StudyScheduler.recordReview(entry, false, NOW);
+    expect(entry).toMatchObject({ box: 0, due: NOW, reviews: 7 });
+  });
+
+  test("rates how well a pair is known", () => {
+    expect(StudyScheduler.getMastery(undefined)).toBe("new");
+    expect(StudyScheduler.getMastery(StudyScheduler.createEntry())).toBe("new");
+    expect(StudyScheduler.getMastery({ box: 0, due: NOW, mistakes: 1, reviews: 0 })).toBe("shaky");
+    expect(StudyScheduler.getMastery({ box: 2, due: NOW, mistakes: 0, reviews: 2 })).toBe("shaky");
+    expect(StudyScheduler.getMastery({ box: StudyScheduler.LEARNED_BOX, due: NOW, mistakes: 0, reviews: 3 })).toBe(
+      "learned"
+    );
+  });
+
+  describe("getPairKey", () => {
+    const text = (value) => ({ kind: "text", value });
+
+    test("keys a text-to-text pair the same whichever card comes first", () => {
+      const india = StudyScheduler.getPairKey([text("India"), text("New Delhi")]);
+      expect(StudyScheduler.getPairKey([text("New Delhi"), text("India")])).toBe(india);
+      expect(india).not.toBe(StudyScheduler.getPairKey([text("Japan"), text("Tokyo")]));
+    });
+
+    test("keys a pair with one text side by that side", () => {
+      const flag = { kind: "image", value: "images/23.png" };
+      expect(StudyScheduler.getPairKey([flag, text("Ghana")])).toBe("Ghana");
+      expect(StudyScheduler.getPairKey([text("Ghana"), flag])).toBe("Ghana");
+    });
+  });
+
+  describe("pickBoard", () => {
+    const entries = {
+      soon: { box: 1, due: NOW + DAY_MS, mistakes: 0, reviews: 1 },
+      later: { box: 2, due: NOW + 3 * DAY_MS, mistakes: 0, reviews: 2 },
+      overdue: { box: 1, due: NOW - 2 * DAY_MS, mistakes: 0, reviews: 1 },
+      missed: { box: 0, due: NOW, mistakes: 1, reviews: 0 },
+      dueToday: { box: 1, due: NOW - 1, mistakes: 0, reviews: 1 },
+    };
+    const fresh = ["f1", "f2", "f3", "f4", "f5", "f6"];
+    const keys = ["soon", "later", ...fresh, "overdue", "missed", "dueToday"];
+
+    test("puts due pairs first, then new pairs, then the ones due soonest", () => {
+      const board = StudyScheduler.pickBoard(keys, entries, keys.length, NOW, 1);
+      expect(board.slice(0, 3)).toEqual(["missed", "overdue", "dueToday"]);
+      expect(board.slice(3, 9).sort()).toEqual(fresh);
+      expect(board.slice(9)).toEqual(["soon", "later"]);
+    });
+
+    test("fills only the pairs asked for", () => {
+      expect(StudyScheduler.pickBoard(keys, entries, 4, NOW, 1)).toHaveLength(4);
+      expect(StudyScheduler.pickBoard(["soon"], entries, 4, NOW)).toEqual(["soon"]);
+    });
+
+    test("picks the same new pairs again for the same seed", () => {
+      const pick = (seed) => StudyScheduler.pickBoard(fresh, {}, 3, NOW, seed);
+      expect(pick(2906773397)).toEqual(pick(2906773397));
+      const boards = new Set([1, 2, 3, 4, 5, 6, 7, 8].map((seed) => pick(seed).join()));
+      expect(boards.size).toBeGreaterThan(1);
+    });
+
+    test("leaves the keys it is given alone", () => {
+      const given = fresh.slice();
+      StudyScheduler.pickBoard(given, {}, 3, NOW, 1);
+      expect(given).toEqual(fresh);
+    });
+  });
+});